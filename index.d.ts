@@ -4,8 +4,107 @@ export interface PgvectorConfigDef extends NodeDef {
   host: string;
   port: number;
   database: string;
+  /** @deprecated Use sslmode; `true` is treated as `require` */
   ssl?: boolean;
+  sslmode?: "" | "disable" | "require" | "verify-ca" | "verify-full";
+  /** Hostname to verify the server certificate against (verify-full) */
+  sslServername?: string;
   max?: number;
+  /** Name of an environment variable holding a postgres:// connection URI */
+  connectionStringEnv?: string;
+  /** Read replica hosts as `host[:port]`, comma or newline separated */
+  replicas?: string;
+  /** Replica health check interval in milliseconds (0 disables) */
+  replicaHealthInterval?: number;
+  /** Primary health check interval in milliseconds (0 disables) */
+  healthInterval?: number;
+  /** Probe latency in milliseconds above which the pool is degraded */
+  healthSlowThreshold?: number;
+  /** Consecutive connection failures before the circuit opens (0 disables) */
+  circuitThreshold?: number;
+  /** Milliseconds the circuit stays open before a probe is allowed */
+  circuitResetTimeout?: number;
+  /** Total attempts for a retryable failure, including the first (1 disables retries) */
+  retryMaxAttempts?: number;
+  /** Delay before the first retry in milliseconds, doubled per retry */
+  retryBaseDelay?: number;
+  /** Upper bound for the retry delay in milliseconds */
+  retryMaxDelay?: number;
+  /** Fraction (0-1) by which each retry delay is randomized */
+  retryJitter?: number;
+  /** How vector, halfvec and sparsevec columns appear in result rows (default "array") */
+  vectorOutput?: "array" | "float32array" | "base64" | "text";
+  /** application_name reported to the server */
+  applicationName?: string;
+  /** Comma-separated schemas for search_path */
+  searchPath?: string;
+  /** Role assumed with SET ROLE on each connection */
+  role?: string;
+  /** JSON object of settings (GUCs) applied on each connection */
+  sessionSettings?: string;
+  passwordSource?: "static" | "file" | "command" | "function";
+  /** Secret file read for each new connection (file source) */
+  passwordFile?: string;
+  /** Command whose output is the password (command source) */
+  passwordCommand?: string;
+  /** Name of a function in settings.js `pgvectorPasswordProviders` (function source) */
+  passwordFunction?: string;
+  /** Reuse a fetched password for this many milliseconds */
+  passwordCacheTtl?: number;
+}
+
+/** Entry of `pgvectorPasswordProviders` in Node-RED settings.js */
+export type PgvectorPasswordProvider = (context: {
+  host: string;
+  port: number;
+  database: string;
+  user: string;
+}) => string | Promise<string>;
+
+export type PgvectorPoolState = "unknown" | "connected" | "degraded" | "down";
+
+/** Payload of the config node's `pool-state` event and pgvector-health messages */
+export interface PgvectorPoolStateEvent {
+  state: PgvectorPoolState;
+  previous: PgvectorPoolState | null;
+  latencyMs: number | null;
+  replicas: Array<{ name: string; healthy: boolean }>;
+  timestamp: string | null;
+}
+
+/** Retry policy of a config node; nodes and `msg.retry` may override any field */
+export interface PgvectorRetryPolicy {
+  maxAttempts: number;
+  baseDelay: number;
+  maxDelay: number;
+  jitter: number;
+}
+
+export type PgvectorCircuitState = "closed" | "open" | "half-open";
+
+/** Payload of the config node's `circuit-state` event and pgvector-health messages */
+export interface PgvectorCircuitStateEvent {
+  /** Pool the breaker guards (host:port) */
+  name: string;
+  state: PgvectorCircuitState;
+  previous: PgvectorCircuitState;
+  failures: number;
+  /** True for the primary pool, false for replicas */
+  primary: boolean;
+  timestamp: string;
+}
+
+export interface PgvectorConfigCredentials {
+  user?: string;
+  password?: string;
+  /** postgres:// connection URI; takes precedence over the discrete fields */
+  connectionString?: string;
+  /** PEM-encoded CA bundle */
+  sslCa?: string;
+  /** PEM-encoded client certificate */
+  sslCert?: string;
+  /** PEM-encoded client private key */
+  sslKey?: string;
 }
 
 export interface PgvectorConfigNode extends Node {
@@ -13,9 +112,22 @@ export interface PgvectorConfigNode extends Node {
   port: number;
   database: string;
   user: string;
-  password: string;
+  /** Static password, or the async provider used for rotating secrets */
+  password: string | (() => Promise<string>);
+  passwordSource: "static" | "file" | "command" | "function";
   ssl: boolean;
+  sslmode: string;
   pool: unknown;
+  replicaPools: Array<{ name: string; pool: unknown }>;
+  /** Returns a replica pool for "read" work when available, otherwise the primary pool */
+  getPool(intent?: "read" | "write"): unknown;
+  poolState: PgvectorPoolState;
+  poolStateDetails: PgvectorPoolStateEvent;
+  retryPolicy: PgvectorRetryPolicy;
+  /** Circuit breaker state of the primary pool */
+  circuitState: PgvectorCircuitState;
+  on(event: "pool-state", listener: (event: PgvectorPoolStateEvent) => void): this;
+  on(event: "circuit-state", listener: (event: PgvectorCircuitStateEvent) => void): this;
 }
 
 export default function (RED: NodeAPI): void;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Catalog lookups behind the editor's table and vector column autocomplete.
+ * @module lib/catalog
+ */
+
+'use strict';
+
+const { withClient } = require('./client');
+
+/**
+ * Tables, views and materialized views on the session's search path, with
+ * each `vector`, `halfvec`, `sparsevec` and `bit` column, its type and its
+ * declared dimension (NULL when unconstrained).
+ * Tables without vector columns are returned with a NULL column.
+ * @constant {string}
+ */
+const LIST_VECTOR_TABLES_SQL = `
+  SELECT
+    n.nspname AS table_schema,
+    c.relname AS table_name,
+    a.attname AS column_name,
+    t.typname AS column_type,
+    NULLIF(a.atttypmod, -1) AS dimension
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  LEFT JOIN pg_attribute a
+    ON a.attrelid = c.oid
+    AND a.attnum > 0
+    AND NOT a.attisdropped
+    AND a.atttypid IN (SELECT oid FROM pg_type WHERE typname IN ('vector', 'halfvec', 'sparsevec', 'bit'))
+  LEFT JOIN pg_type t ON t.oid = a.atttypid
+  WHERE c.relkind IN ('r', 'p', 'v', 'm')
+    AND n.nspname = ANY (current_schemas(false))
+  ORDER BY array_position(current_schemas(false), n.nspname::text), c.relname, a.attnum
+`;
+
+/**
+ * Groups catalog rows into one entry per table.
+ *
+ * @param {Array<object>} rows - Rows from {@link LIST_VECTOR_TABLES_SQL}
+ * @returns {Array<{schema: string, name: string, columns: Array<{name: string, type: string, dimension: (number|null)}>}>} Tables
+ */
+function groupVectorColumns(rows) {
+  const tables = new Map();
+  for (const row of rows) {
+    const key = `${row.table_schema}.${row.table_name}`;
+    if (!tables.has(key)) {
+      tables.set(key, { schema: row.table_schema, name: row.table_name, columns: [] });
+    }
+    if (row.column_name) {
+      tables.get(key).columns.push({
+        name: row.column_name,
+        type: row.column_type || 'vector',
+        dimension: row.dimension != null ? Number(row.dimension) : null,
+      });
+    }
+  }
+  return [...tables.values()];
+}
+
+/**
+ * Lists tables on the search path together with their vector columns.
+ *
+ * @param {import('pg').Pool} pool - Pool to query
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout=10000] - Statement timeout in milliseconds
+ * @returns {Promise<Array<object>>} Tables, see {@link groupVectorColumns}
+ *
+ * @example
+ * const tables = await listVectorTables(pool);
+ * // [{ schema: 'public', name: 'documents', columns: [{ name: 'embedding', type: 'vector', dimension: 1536 }] }]
+ */
+async function listVectorTables(pool, { timeout = 10000 } = {}) {
+  const result = await withClient(pool, (client) => client.query(LIST_VECTOR_TABLES_SQL), timeout);
+  return groupVectorColumns(result.rows);
+}
+
+module.exports = {
+  listVectorTables,
+  groupVectorColumns,
+  LIST_VECTOR_TABLES_SQL,
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Circuit breaker for pgvector connection pools.
+ * Fails fast during outages instead of letting every message retry independently.
+ * @module lib/circuit-breaker
+ */
+
+'use strict';
+
+/**
+ * Circuit breaker states.
+ * @constant {Object<string, string>}
+ */
+const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+});
+
+/**
+ * Error code used for calls rejected while the circuit is open.
+ * @constant {string}
+ */
+const CIRCUIT_OPEN_CODE = 'ECIRCUITOPEN';
+
+/**
+ * Default circuit breaker settings.
+ * @constant {object}
+ */
+const CIRCUIT_DEFAULTS = Object.freeze({
+  failureThreshold: 5,
+  resetTimeout: 30000,
+});
+
+/**
+ * Creates the error thrown for calls rejected by an open circuit.
+ *
+ * @param {string} name - Circuit name (typically the pool host)
+ * @param {number} retryInMs - Milliseconds until the next probe is allowed
+ * @returns {Error} Error with code {@link CIRCUIT_OPEN_CODE}
+ */
+function createCircuitOpenError(name, retryInMs) {
+  const seconds = Math.max(0, Math.ceil(retryInMs / 1000));
+  const err = new Error(`Circuit breaker open for ${name}: database unavailable, failing fast (next probe in ${seconds}s)`);
+  err.code = CIRCUIT_OPEN_CODE;
+  return err;
+}
+
+/**
+ * Creates a closed/open/half-open circuit breaker.
+ *
+ * - closed: calls run; consecutive failures are counted and the circuit
+ *   opens once `failureThreshold` is reached.
+ * - open: calls are rejected immediately with {@link CIRCUIT_OPEN_CODE}
+ *   until `resetTimeout` has elapsed.
+ * - half-open: a single `probe` runs; success closes the circuit and lets the
+ *   call through, failure re-opens it. Other calls fail fast meanwhile.
+ *
+ * @param {object} options - Breaker options
+ * @param {string} [options.name='database'] - Name used in errors and events
+ * @param {number} [options.failureThreshold=5] - Consecutive failures before opening (0 disables)
+ * @param {number} [options.resetTimeout=30000] - Milliseconds to stay open before probing
+ * @param {function(): Promise<boolean>} [options.probe] - Health probe run when half-open
+ * @param {function(Error): boolean} [options.isFailure] - Which errors count toward the threshold
+ * @param {function(object): void} [options.onStateChange] - Called with `{name, state, previous, failures, timestamp}`
+ * @returns {{execute: function(function(): Promise<*>): Promise<*>, getState: function(): string, getFailures: function(): number, reset: function(): void}} Breaker
+ *
+ * @example
+ * const breaker = createCircuitBreaker({ name: 'db:5432', probe: () => testConnection(pool) });
+ * const result = await breaker.execute(() => pool.query('SELECT 1'));
+ */
+function createCircuitBreaker({
+  name = 'database',
+  failureThreshold = CIRCUIT_DEFAULTS.failureThreshold,
+  resetTimeout = CIRCUIT_DEFAULTS.resetTimeout,
+  probe = async () => true,
+  isFailure = () => true,
+  onStateChange,
+} = {}) {
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let probing = null;
+
+  function transition(next) {
+    if (next === state) {
+      return;
+    }
+    const previous = state;
+    state = next;
+    if (next === CIRCUIT_STATES.OPEN) {
+      openedAt = Date.now();
+    }
+    if (next === CIRCUIT_STATES.CLOSED) {
+      failures = 0;
+    }
+    if (onStateChange) {
+      onStateChange({ name, state, previous, failures, timestamp: new Date().toISOString() });
+    }
+  }
+
+  function recordFailure(err) {
+    if (!isFailure(err)) {
+      return;
+    }
+    failures++;
+    if (state === CIRCUIT_STATES.CLOSED && failures >= failureThreshold) {
+      transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+   * Runs the half-open probe once; concurrent callers share its outcome.
+   * @returns {Promise<boolean>} True when the circuit closed
+   */
+  function runProbe() {
+    if (!probing) {
+      transition(CIRCUIT_STATES.HALF_OPEN);
+      probing = Promise.resolve()
+        .then(probe)
+        .catch(() => false)
+        .then((healthy) => {
+          probing = null;
+          transition(healthy ? CIRCUIT_STATES.CLOSED : CIRCUIT_STATES.OPEN);
+          return healthy;
+        });
+      return probing;
+    }
+    return probing.then(() => false);
+  }
+
+  /**
+   * Runs a function through the breaker.
+   * @template T
+   * @param {function(): Promise<T>} fn - Work to run
+   * @returns {Promise<T>} Result of `fn`
+   * @throws {Error} {@link CIRCUIT_OPEN_CODE} error while open, or the error from `fn`
+   */
+  async function execute(fn) {
+    if (failureThreshold <= 0) {
+      return fn();
+    }
+
+    if (state !== CIRCUIT_STATES.CLOSED) {
+      const waited = Date.now() - openedAt;
+      if (state === CIRCUIT_STATES.OPEN && waited < resetTimeout) {
+        throw createCircuitOpenError(name, resetTimeout - waited);
+      }
+      // Only the caller whose probe closes the circuit proceeds; others fail fast
+      if (!(await runProbe())) {
+        throw createCircuitOpenError(name, resetTimeout - (Date.now() - openedAt));
+      }
+    }
+
+    try {
+      const result = await fn();
+      failures = 0;
+      return result;
+    } catch (err) {
+      recordFailure(err);
+      throw err;
+    }
+  }
+
+  return {
+    execute,
+    getState: () => state,
+    getFailures: () => failures,
+    reset: () => transition(CIRCUIT_STATES.CLOSED),
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  CIRCUIT_STATES,
+  CIRCUIT_OPEN_CODE,
+  CIRCUIT_DEFAULTS,
+};
@@ -6,13 +6,19 @@
 
 'use strict';
 
-const { Pool } = require('pg');
+const tls = require('tls');
+const pg = require('pg');
+const { parse: parseConnectionString } = require('pg-connection-string');
+const format = require('pg-format');
+const { withRetry, isRetryableError, resolveRetryPolicy } = require('./retry');
+const { createVectorTypeParsers, VECTOR_OUTPUT_FORMATS } = require('./type-parsers');
 
 /**
  * Default pool configuration values.
  * @constant {object}
  */
 const POOL_DEFAULTS = {
+  host: 'localhost',
   port: 5432,
   max: 10,
   idleTimeoutMillis: 30000,
@@ -26,6 +32,263 @@ const POOL_DEFAULTS = {
  */
 const DEFAULT_QUERY_TIMEOUT = 60000;
 
+/**
+ * Standard libpq environment variables used as connection fallbacks.
+ * @constant {Object<string, string>}
+ */
+const PG_ENV_VARS = Object.freeze({
+  host: 'PGHOST',
+  port: 'PGPORT',
+  database: 'PGDATABASE',
+  user: 'PGUSER',
+  password: 'PGPASSWORD',
+  sslmode: 'PGSSLMODE',
+});
+
+/**
+ * Supported libpq sslmode values.
+ * `allow` and `prefer` are accepted for compatibility and mapped to
+ * `disable` and `require`, since node-postgres cannot fall back between modes.
+ * @constant {Array<string>}
+ */
+const SSL_MODES = Object.freeze(['disable', 'allow', 'prefer', 'require', 'verify-ca', 'verify-full']);
+
+/**
+ * Pattern for PostgreSQL setting names, optionally prefixed by an extension
+ * namespace (e.g. `maintenance_work_mem`, `hnsw.ef_search`).
+ * @constant {RegExp}
+ */
+const SETTING_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+/**
+ * Maximum length of application_name accepted by PostgreSQL (NAMEDATALEN - 1).
+ * @constant {number}
+ */
+const MAX_APPLICATION_NAME_LENGTH = 63;
+
+/**
+ * Circuit breakers attached to pools, consulted by withClientRetry.
+ * @type {WeakMap<Pool, object>}
+ */
+const circuitBreakers = new WeakMap();
+
+/**
+ * Per-client result of the setup run on pool `connect` (session initialization
+ * and vector type lookup).
+ * Resolves to the initialization error, or null on success.
+ * @type {WeakMap<import('pg').PoolClient, Promise<Error|null>>}
+ */
+const sessionInitResults = new WeakMap();
+
+/**
+ * Error code for work cancelled by {@link cancelQueries} or a passed deadline.
+ * @constant {string}
+ */
+const QUERY_CANCELLED_CODE = 'EQUERYCANCELLED';
+
+/**
+ * Queries currently running through withClient, as
+ * `{pool, client, pid, owner, cancelReason}` entries.
+ * @type {Set<object>}
+ */
+const inFlightQueries = new Set();
+
+/**
+ * Returns the first value that is neither null, undefined, nor an empty string.
+ *
+ * @param {...*} values - Candidate values in order of precedence
+ * @returns {*} First present value, or undefined
+ */
+function firstPresent(...values) {
+  return values.find((v) => v != null && v !== '');
+}
+
+/**
+ * Resolves connection settings from a connection URI, explicit fields and
+ * the standard PG* environment variables.
+ *
+ * Precedence per setting: connection URI > explicit field > PG* environment
+ * variable > built-in default (localhost:5432 for host and port).
+ *
+ * @param {object} options - Connection settings
+ * @param {string} [options.connectionString] - postgres:// connection URI
+ * @param {string} [options.host] - Database server hostname
+ * @param {number|string} [options.port] - Database server port
+ * @param {string} [options.database] - Database name
+ * @param {string} [options.user] - Database username
+ * @param {string} [options.password] - Database password
+ * @param {string} [options.sslmode] - libpq sslmode (disable, require, ...)
+ * @param {object} [env=process.env] - Environment to read PG* variables from
+ * @returns {{host: string, port: number, database: string, user: string, password: string, sslmode: (string|undefined)}} Resolved settings
+ * @throws {Error} If the connection string cannot be parsed
+ *
+ * @example
+ * resolveConnectionConfig({ connectionString: 'postgres://app@db:6432/vectors' })
+ * // { host: 'db', port: 6432, database: 'vectors', user: 'app', ... }
+ */
+function resolveConnectionConfig(options = {}, env = process.env) {
+  let uri = {};
+  if (options.connectionString) {
+    if (!/^postgres(ql)?:\/\//i.test(options.connectionString.trim())) {
+      throw new Error('Connection string must start with postgres:// or postgresql://');
+    }
+    try {
+      uri = parseConnectionString(options.connectionString.trim());
+    } catch (err) {
+      throw new Error(`Invalid connection string: ${err.message}`);
+    }
+  }
+
+  const resolve = (key) => firstPresent(uri[key], options[key], env[PG_ENV_VARS[key]]);
+  const port = resolve('port');
+
+  return {
+    host: firstPresent(resolve('host'), POOL_DEFAULTS.host),
+    port: port != null ? Number(port) : POOL_DEFAULTS.port,
+    database: resolve('database'),
+    user: resolve('user'),
+    password: resolve('password'),
+    sslmode: resolve('sslmode'),
+  };
+}
+
+/**
+ * Builds node-postgres TLS options from libpq-style sslmode settings.
+ *
+ * - `disable` / `allow`: no TLS
+ * - `require` / `prefer`: encrypted, server certificate not verified
+ * - `verify-ca`: certificate must chain to the CA bundle, hostname not checked
+ * - `verify-full`: certificate chain and hostname (or `servername`) verified
+ *
+ * @param {object} options - TLS settings
+ * @param {string} [options.sslmode='disable'] - libpq sslmode
+ * @param {string} [options.ca] - PEM-encoded CA bundle
+ * @param {string} [options.cert] - PEM-encoded client certificate
+ * @param {string} [options.key] - PEM-encoded client private key
+ * @param {string} [options.servername] - Hostname to verify the certificate against
+ * @returns {false|object} `false` when TLS is disabled, otherwise tls.connect options
+ * @throws {Error} If sslmode is unknown, material is not PEM, or cert/key are unpaired
+ *
+ * @example
+ * buildSslOptions({ sslmode: 'verify-full', ca: fs.readFileSync('ca.pem', 'utf8') })
+ * // { rejectUnauthorized: true, ca: '-----BEGIN CERTIFICATE-----...' }
+ */
+function buildSslOptions({ sslmode = 'disable', ca, cert, key, servername } = {}) {
+  if (!SSL_MODES.includes(sslmode)) {
+    throw new Error(`Unsupported sslmode "${sslmode}" (expected one of: ${SSL_MODES.join(', ')})`);
+  }
+  if (sslmode === 'disable' || sslmode === 'allow') {
+    return false;
+  }
+
+  const pem = { ca, cert, key };
+  for (const [name, value] of Object.entries(pem)) {
+    if (value && !/-----BEGIN [A-Z0-9 ]+-----/.test(value)) {
+      throw new Error(`SSL ${name} must be PEM encoded`);
+    }
+  }
+  if (!!cert !== !!key) {
+    throw new Error('SSL client certificate and key must be provided together');
+  }
+
+  const verify = sslmode === 'verify-ca' || sslmode === 'verify-full';
+  const ssl = { rejectUnauthorized: verify };
+  if (ca) ssl.ca = ca;
+  if (cert) ssl.cert = cert;
+  if (key) ssl.key = key;
+
+  if (sslmode === 'verify-ca') {
+    // Chain is still verified by rejectUnauthorized; only skip the hostname check
+    ssl.checkServerIdentity = () => undefined;
+  } else if (sslmode === 'verify-full' && servername) {
+    // pg overrides tls servername with the host, so verify against the override explicitly
+    ssl.servername = servername;
+    ssl.checkServerIdentity = (host, peerCert) => tls.checkServerIdentity(servername, peerCert);
+  }
+
+  return ssl;
+}
+
+/**
+ * Builds `set_config` calls for a set of settings, validating names and values.
+ *
+ * @param {Object<string, (string|number|boolean)>} settings - Settings (GUCs)
+ * @param {boolean} isLocal - Apply to the current transaction only (SET LOCAL) instead of the session
+ * @returns {Array<string>} One `set_config` call per setting
+ * @throws {Error} If a setting name or value is invalid
+ */
+function settingCalls(settings, isLocal) {
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Session settings must be an object of name/value pairs');
+  }
+  return Object.entries(settings).map(([name, value]) => {
+    if (!SETTING_NAME_REGEX.test(name)) {
+      throw new Error(`Invalid session setting name "${name}"`);
+    }
+    if (value == null || typeof value === 'object') {
+      throw new Error(`Session setting "${name}" must be a string, number or boolean`);
+    }
+    return format(`set_config(%L, %L, ${isLocal ? 'true' : 'false'})`, name, String(value));
+  });
+}
+
+/**
+ * Builds the SQL run on every new pooled connection to prepare its session.
+ * All identifiers and values are escaped; setting names are validated.
+ *
+ * @param {object} options - Session options
+ * @param {string|Array<string>} [options.searchPath] - Schemas for search_path (comma-separated or array)
+ * @param {string} [options.role] - Role to assume with SET ROLE
+ * @param {Object<string, (string|number|boolean)>} [options.settings] - Additional settings (GUCs)
+ * @returns {string|null} SQL to run, or null when there is nothing to initialize
+ * @throws {Error} If a setting name or value is invalid
+ *
+ * @example
+ * buildSessionInit({ searchPath: 'vectors, public', settings: { 'hnsw.ef_search': 100 } })
+ * // "SET search_path TO vectors, public; SELECT set_config('hnsw.ef_search', '100', false)"
+ */
+function buildSessionInit({ searchPath, role, settings } = {}) {
+  const statements = [];
+
+  const schemas = (Array.isArray(searchPath) ? searchPath : String(searchPath || '').split(','))
+    .map((schema) => schema.trim())
+    .filter(Boolean);
+  if (schemas.length > 0) {
+    statements.push(`SET search_path TO ${schemas.map((schema) => format.ident(schema)).join(', ')}`);
+  }
+
+  if (role) {
+    statements.push(`SET ROLE ${format.ident(role)}`);
+  }
+
+  if (settings != null) {
+    statements.push(...settingCalls(settings, false).map((call) => `SELECT ${call}`));
+  }
+
+  return statements.length > 0 ? statements.join('; ') : null;
+}
+
+/**
+ * Builds the statement applying settings to the current transaction only,
+ * like `SET LOCAL`: they are undone at COMMIT or ROLLBACK, so they never
+ * reach the next user of a pooled connection.
+ *
+ * @param {Object<string, (string|number|boolean)>} [settings] - Settings (GUCs)
+ * @returns {string|null} SQL to run inside the transaction, or null when there are no settings
+ * @throws {Error} If a setting name or value is invalid
+ *
+ * @example
+ * buildLocalSettings({ 'hnsw.ef_search': 100, 'ivfflat.probes': 10 })
+ * // "SELECT set_config('hnsw.ef_search', '100', true), set_config('ivfflat.probes', '10', true)"
+ */
+function buildLocalSettings(settings) {
+  if (settings == null) {
+    return null;
+  }
+  const calls = settingCalls(settings, true);
+  return calls.length > 0 ? `SELECT ${calls.join(', ')}` : null;
+}
+
 /**
  * Creates a PostgreSQL connection pool with the specified configuration.
  *
@@ -35,10 +298,14 @@ const DEFAULT_QUERY_TIMEOUT = 60000;
  * @param {string} config.database - Database name
  * @param {string} config.user - Database username
  * @param {string} config.password - Database password
- * @param {boolean|object} [config.ssl=false] - SSL configuration
+ * @param {boolean|object} [config.ssl=false] - SSL configuration (see {@link buildSslOptions})
  * @param {number} [config.max=10] - Maximum pool size
  * @param {number} [config.idleTimeoutMillis=30000] - Idle connection timeout
  * @param {number} [config.connectionTimeoutMillis=10000] - Connection timeout
+ * @param {string} [config.applicationName] - application_name reported to the server
+ * @param {string} [config.sessionInit] - SQL run on every new connection (see {@link buildSessionInit})
+ * @param {string} [config.vectorOutput='text'] - How vector columns appear in result rows,
+ *   see {@link module:lib/type-parsers.VECTOR_OUTPUT_FORMATS}
  * @returns {Pool} Configured pg Pool instance
  *
  * @example
@@ -60,9 +327,14 @@ function createPool(config) {
     max = POOL_DEFAULTS.max,
     idleTimeoutMillis = POOL_DEFAULTS.idleTimeoutMillis,
     connectionTimeoutMillis = POOL_DEFAULTS.connectionTimeoutMillis,
+    applicationName,
+    sessionInit,
+    vectorOutput = VECTOR_OUTPUT_FORMATS.TEXT,
   } = config;
 
-  return new Pool({
+  const typeParsers = vectorOutput !== VECTOR_OUTPUT_FORMATS.TEXT ? createVectorTypeParsers(vectorOutput) : null;
+
+  const pool = new pg.Pool({
     host,
     port,
     database,
@@ -72,50 +344,366 @@ function createPool(config) {
     max,
     idleTimeoutMillis,
     connectionTimeoutMillis,
+    application_name: applicationName ? applicationName.slice(0, MAX_APPLICATION_NAME_LENGTH) : undefined,
+    types: typeParsers ? typeParsers.types : undefined,
   });
+
+  if (sessionInit || typeParsers) {
+    // Queries are queued per client, so setup runs before the caller's first query;
+    // withClient checks the outcome before handing the client out
+    pool.on('connect', (client) => {
+      const init = sessionInit
+        ? client.query(sessionInit).then(
+          () => null,
+          (err) => {
+            err.message = `Session initialization failed: ${err.message}`;
+            return err;
+          }
+        )
+        : null;
+      // Vector OIDs differ per database and change when the extension is recreated
+      const types = typeParsers ? typeParsers.resolve(client) : null;
+      sessionInitResults.set(client, Promise.all([init, types]).then(([err]) => err));
+    });
+  }
+
+  return pool;
+}
+
+/**
+ * Creates the error reported for cancelled work.
+ *
+ * @param {string} reason - Why the work was cancelled
+ * @param {Error} [cause] - Error raised by the cancelled query
+ * @returns {Error} Error with code {@link QUERY_CANCELLED_CODE}
+ */
+function createCancelledError(reason, cause) {
+  const err = new Error(`Query cancelled: ${reason}`);
+  err.code = QUERY_CANCELLED_CODE;
+  if (cause) {
+    err.cause = cause;
+  }
+  return err;
+}
+
+/**
+ * Converts a message deadline into epoch milliseconds.
+ *
+ * @param {Date|string|number} [value] - Absolute deadline: Date, ISO string or epoch milliseconds
+ * @returns {number|undefined} Epoch milliseconds, or undefined when no deadline is set
+ * @throws {Error} If the value is not a valid time
+ *
+ * @example
+ * resolveDeadline(Date.now() + 5000);          // five seconds from now
+ * resolveDeadline('2026-01-01T12:00:00Z');
+ */
+function resolveDeadline(value) {
+  if (value == null || value === '') {
+    return undefined;
+  }
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid deadline "${value}": expected a Date, ISO timestamp or epoch milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Asks the server to cancel whatever a backend is running, using pg_cancel_backend
+ * over a dedicated connection so a saturated pool cannot block the cancel.
+ *
+ * @param {Pool} pool - Pool the backend belongs to (its connection options are reused)
+ * @param {number} pid - Backend process id
+ * @returns {Promise<boolean>} True if the server accepted the cancel request
+ */
+async function cancelBackend(pool, pid) {
+  const client = new pg.Client(pool.options);
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    const result = await client.query('SELECT pg_cancel_backend($1) AS cancelled', [pid]);
+    return result.rows[0].cancelled === true;
+  } finally {
+    client.end().catch(() => {});
+  }
+}
+
+/**
+ * Cancels one tracked query. Its connection is destroyed on release, so a
+ * late cancel can never hit the next query on the same backend.
+ *
+ * @param {object} entry - In-flight entry
+ * @param {string} reason - Reason reported in the cancelled error
+ * @returns {Promise<boolean>} True if a cancel request was sent and accepted
+ */
+function cancelEntry(entry, reason) {
+  if (entry.cancelReason) {
+    return Promise.resolve(false);
+  }
+  entry.cancelReason = reason;
+  if (!entry.pid) {
+    return Promise.resolve(false);
+  }
+  return cancelBackend(entry.pool, entry.pid).catch(() => false);
+}
+
+/**
+ * Cancels in-flight queries started through withClient.
+ *
+ * @param {object} filter - Which queries to cancel; every given criterion must match
+ * @param {string} [filter.owner] - Owner passed to withClient (typically a node id)
+ * @param {Array<Pool>} [filter.pools] - Pools whose queries should be cancelled
+ * @param {string} [reason='cancelled'] - Reason reported to the waiting caller
+ * @returns {Promise<number>} Number of queries the server agreed to cancel
+ *
+ * @example
+ * node.on('close', (done) => {
+ *   cancelQueries({ owner: node.id }, 'node closed').finally(done);
+ * });
+ */
+async function cancelQueries({ owner, pools } = {}, reason = 'cancelled') {
+  const targets = [...inFlightQueries].filter((entry) =>
+    (owner === undefined || entry.owner === owner) &&
+    (pools === undefined || pools.includes(entry.pool))
+  );
+  const results = await Promise.all(targets.map((entry) => cancelEntry(entry, reason)));
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Returns the number of queries currently running through withClient.
+ *
+ * @param {object} [filter] - Same criteria as {@link cancelQueries}
+ * @returns {number} Matching in-flight queries
+ */
+function countInFlightQueries({ owner, pools } = {}) {
+  return [...inFlightQueries].filter((entry) =>
+    (owner === undefined || entry.owner === owner) &&
+    (pools === undefined || pools.includes(entry.pool))
+  ).length;
 }
 
 /**
  * Executes a function with a client from the pool, ensuring proper release.
  * Uses try/finally to guarantee client release even on errors.
  *
+ * The query is tracked while it runs so it can be cancelled server-side with
+ * {@link cancelQueries} (e.g. when the owning node closes), or automatically
+ * once `deadline` passes. Cancelled work rejects with code EQUERYCANCELLED.
+ *
+ * The statement timeout is set for the session and put back to its previous
+ * value before the client returns to the pool, so it never applies to other
+ * work on the same connection; a client that cannot be restored is destroyed.
+ *
  * @template T
  * @param {Pool} pool - PostgreSQL connection pool
  * @param {function(import('pg').PoolClient): Promise<T>} fn - Async function to execute with client
- * @param {number} [timeout] - Optional query timeout in milliseconds
+ * @param {number|object} [options] - Query timeout in milliseconds, or options
+ * @param {number} [options.timeout] - Statement timeout in milliseconds
+ * @param {string} [options.owner] - Owner used by cancelQueries (typically a node id)
+ * @param {number} [options.deadline] - Epoch milliseconds after which the query is cancelled
  * @returns {Promise<T>} Result of the function execution
  * @throws {Error} Propagates any error from connection or function execution
  *
  * @example
  * const result = await withClient(pool, async (client) => {
  *   return client.query('SELECT * FROM users WHERE id = $1', [userId]);
- * }, 5000);
+ * }, { timeout: 5000, owner: node.id });
  */
-async function withClient(pool, fn, timeout) {
+async function withClient(pool, fn, options) {
+  const { timeout, owner, deadline } = typeof options === 'number' ? { timeout: options } : (options || {});
+  if (deadline != null && Date.now() >= deadline) {
+    throw createCancelledError('deadline exceeded');
+  }
+
   const client = await pool.connect();
+
+  // Never run work on a connection whose session setup failed; destroy it instead
+  const initError = await sessionInitResults.get(client);
+  if (initError) {
+    client.release(initError);
+    throw initError;
+  }
+
+  const entry = { pool, client, pid: client.processID, owner, cancelReason: null };
+  inFlightQueries.add(entry);
+  const deadlineTimer = deadline != null
+    ? setTimeout(() => cancelEntry(entry, 'deadline exceeded'), Math.max(0, deadline - Date.now()))
+    : null;
+
+  let previousTimeout;
   try {
-    // Set statement timeout if specified
+    // Set statement timeout if specified, remembering the session's own value
     if (timeout && timeout > 0) {
-      await client.query(`SET statement_timeout = ${Math.floor(timeout)}`);
+      const result = await client.query(format(
+        "SELECT current_setting('statement_timeout') AS previous, set_config('statement_timeout', %L, false)",
+        String(Math.floor(timeout))
+      ));
+      previousTimeout = result?.rows?.[0]?.previous ?? null;
     }
     return await fn(client);
+  } catch (err) {
+    if (entry.cancelReason) {
+      throw createCancelledError(entry.cancelReason, err);
+    }
+    throw err;
   } finally {
-    client.release();
+    clearTimeout(deadlineTimer);
+    inFlightQueries.delete(entry);
+    let releaseError = entry.cancelReason ? true : undefined;
+    if (previousTimeout !== undefined && !releaseError) {
+      try {
+        await client.query(previousTimeout === null
+          ? 'RESET statement_timeout'
+          : format("SELECT set_config('statement_timeout', %L, false)", previousTimeout));
+      } catch (err) {
+        // e.g. fn left a failed transaction open; do not hand the timeout to the next user
+        releaseError = err;
+      }
+    }
+    client.release(releaseError);
+  }
+}
+
+/**
+ * Checks whether an error means the database could not be reached or the
+ * connection was lost (as opposed to an error in the SQL itself).
+ *
+ * @param {Error} err - Error to classify
+ * @returns {boolean} True for connection-level failures
+ */
+function isConnectionError(err) {
+  if (!err) {
+    return false;
+  }
+  return (
+    err.code === 'ECONNREFUSED' ||
+    err.code === 'ECONNRESET' ||
+    err.code === 'ENOTFOUND' ||
+    err.code === 'ETIMEDOUT' ||
+    err.code === '57P01' || // PostgreSQL: admin shutdown
+    err.code === '57P02' || // PostgreSQL: crash shutdown
+    err.code === '57P03' || // PostgreSQL: cannot connect now
+    err.code === '53300' || // PostgreSQL: too many connections
+    (typeof err.code === 'string' && err.code.startsWith('08')) || // PostgreSQL: connection exception
+    !!err.message?.includes('Connection terminated') ||
+    !!err.message?.includes('timeout exceeded when trying to connect')
+  );
+}
+
+/**
+ * Checks whether an error is transient and the operation may be retried.
+ *
+ * @param {Error} err - Error to classify
+ * @param {boolean} [idempotent=true] - Whether the statement is safe to run twice
+ * @returns {boolean} True for errors the retry policy would retry
+ */
+function isTransientError(err, idempotent = true) {
+  return isRetryableError(err, idempotent);
+}
+
+/**
+ * Attaches a circuit breaker to a pool. queryWithRetry runs every attempt
+ * against that pool through the breaker, failing fast while it is open.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {object|null} breaker - Breaker from lib/circuit-breaker, or null to detach
+ */
+function setCircuitBreaker(pool, breaker) {
+  if (breaker) {
+    circuitBreakers.set(pool, breaker);
+  } else {
+    circuitBreakers.delete(pool);
+  }
+}
+
+/**
+ * Returns the circuit breaker attached to a pool.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {object|undefined} Attached breaker
+ */
+function getCircuitBreaker(pool) {
+  return circuitBreakers.get(pool);
+}
+
+/**
+ * Runs work on a pooled client, retrying retryable failures according to
+ * a retry policy (see lib/retry). When a circuit breaker is attached to the
+ * pool (see {@link setCircuitBreaker}), every attempt runs through it and an
+ * open circuit fails immediately with code ECIRCUITOPEN.
+ *
+ * Errors that may have left the statement applied (connection lost mid-query)
+ * are only retried when `idempotent` is set; serialization failures, deadlocks
+ * and connection failures before the statement was sent are always retried.
+ *
+ * @template T
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {function(PoolClient): Promise<T>} fn - Work to run; must be safe to repeat from scratch
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout] - Statement timeout in milliseconds
+ * @param {string} [options.owner] - Owner used by cancelQueries (typically a node id)
+ * @param {number} [options.deadline] - Epoch milliseconds after which the work is cancelled
+ * @param {object} [options.retry] - Partial retry policy (maxAttempts, baseDelay, maxDelay, jitter)
+ * @param {boolean} [options.idempotent=false] - Whether the work is safe to run twice
+ * @param {function(object): void} [options.onRetry] - Called before each retry
+ * @returns {Promise<T>} Result of `fn`
+ * @throws {Error} If attempts are exhausted or the error is permanent
+ *
+ * @example
+ * const result = await withClientRetry(pool, (client) => client.query(upsertSql, params), {
+ *   retry: pgConfig.retryPolicy,
+ *   idempotent: true,
+ * });
+ */
+async function withClientRetry(pool, fn, options = {}) {
+  const { timeout, owner, deadline, retry, idempotent = false, onRetry } = options;
+  const breaker = circuitBreakers.get(pool);
+  const run = () => withClient(pool, fn, { timeout, owner, deadline });
+
+  return withRetry(() => (breaker ? breaker.execute(run) : run()), {
+    policy: retry,
+    idempotent,
+    onRetry,
+  });
+}
+
+/**
+ * Runs work inside a transaction, committing on success and rolling back on failure.
+ *
+ * @template T
+ * @param {import('pg').PoolClient} client - Client to run on
+ * @param {function(): Promise<T>} fn - Work to run between BEGIN and COMMIT
+ * @param {object} [options] - Options
+ * @param {boolean} [options.readOnly=false] - Start a READ ONLY transaction, so any write fails
+ * @returns {Promise<T>} Result of `fn`
+ */
+async function inTransaction(client, fn, { readOnly = false } = {}) {
+  await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    // The connection may already be gone; report the original error
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
   }
 }
 
 /**
  * Executes a query with automatic retry on transient failures.
- * Implements exponential backoff for connection and timeout errors.
+ * Convenience wrapper around {@link withClientRetry} for a single statement.
  *
  * @template T
  * @param {Pool} pool - PostgreSQL connection pool
  * @param {string} sql - SQL query string
  * @param {Array} params - Query parameters
- * @param {object} [options] - Query options
- * @param {number} [options.timeout] - Query timeout in milliseconds
- * @param {number} [options.maxRetries=3] - Maximum number of retry attempts
- * @param {number} [options.retryDelay=1000] - Initial retry delay in milliseconds
+ * @param {object} [options] - Query options, as for {@link withClientRetry}
+ * @param {number} [options.maxRetries] - Deprecated: use `retry.maxAttempts` (maxRetries + 1)
+ * @param {number} [options.retryDelay] - Deprecated: use `retry.baseDelay`
+ * @param {Object<string, (string|number|boolean)>} [options.settings] - Settings applied with SET LOCAL
+ *   (see {@link buildLocalSettings}) in a transaction around the query
  * @returns {Promise<T>} Query result
  * @throws {Error} If all retries are exhausted
  *
@@ -123,49 +711,29 @@ async function withClient(pool, fn, timeout) {
  * const result = await queryWithRetry(pool,
  *   'SELECT * FROM users WHERE id = $1',
  *   [userId],
- *   { timeout: 5000, maxRetries: 3 }
+ *   { timeout: 5000, retry: { maxAttempts: 4 }, idempotent: true }
  * );
  */
 async function queryWithRetry(pool, sql, params, options = {}) {
-  const {
-    timeout = DEFAULT_QUERY_TIMEOUT,
-    maxRetries = 3,
-    retryDelay = 1000,
-  } = options;
+  const { timeout = DEFAULT_QUERY_TIMEOUT, maxRetries, retryDelay, settings, ...rest } = options;
+  const legacy = {
+    maxAttempts: maxRetries != null ? maxRetries + 1 : undefined,
+    baseDelay: retryDelay,
+  };
 
-  let lastError;
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await withClient(
-        pool,
-        (client) => client.query(sql, params),
-        timeout
-      );
-    } catch (err) {
-      lastError = err;
-
-      // Check if error is retryable (transient connection/timeout errors)
-      const isRetryable =
-        err.code === 'ECONNREFUSED' ||
-        err.code === 'ENOTFOUND' ||
-        err.code === 'ETIMEDOUT' ||
-        err.code === '57P03' || // PostgreSQL: cannot connect now
-        err.code === '53300' || // PostgreSQL: too many connections
-        err.message?.includes('timeout') ||
-        err.message?.includes('Connection terminated');
-
-      // Don't retry on last attempt or non-retryable errors
-      if (!isRetryable || attempt === maxRetries) {
-        throw err;
-      }
-
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = retryDelay * Math.pow(2, attempt);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
-  }
+  const localSettings = buildLocalSettings(settings);
+  const run = localSettings
+    ? (client) => inTransaction(client, async () => {
+      await client.query(localSettings);
+      return client.query(sql, params);
+    })
+    : (client) => client.query(sql, params);
 
-  throw lastError;
+  return withClientRetry(pool, run, {
+    ...rest,
+    timeout,
+    retry: resolveRetryPolicy(legacy, rest.retry),
+  });
 }
 
 /**
@@ -186,9 +754,26 @@ async function testConnection(pool, timeout = 5000) {
 
 module.exports = {
   createPool,
+  resolveConnectionConfig,
+  buildSslOptions,
+  buildSessionInit,
+  buildLocalSettings,
   withClient,
+  withClientRetry,
+  inTransaction,
+  cancelQueries,
+  cancelBackend,
+  countInFlightQueries,
+  resolveDeadline,
   queryWithRetry,
   testConnection,
+  isConnectionError,
+  isTransientError,
+  setCircuitBreaker,
+  getCircuitBreaker,
   POOL_DEFAULTS,
   DEFAULT_QUERY_TIMEOUT,
+  PG_ENV_VARS,
+  SSL_MODES,
+  QUERY_CANCELLED_CODE,
 };
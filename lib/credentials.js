@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Rotating password providers for pgvector connection pools.
+ * Supplies pg's async `password` callback so every new connection uses the current secret.
+ * @module lib/credentials
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { exec } = require('child_process');
+
+/**
+ * Supported password sources.
+ * @constant {Object<string, string>}
+ */
+const PASSWORD_SOURCES = Object.freeze({
+  STATIC: 'static',
+  FILE: 'file',
+  COMMAND: 'command',
+  FUNCTION: 'function',
+});
+
+/**
+ * Default password provider settings.
+ * @constant {object}
+ */
+const PROVIDER_DEFAULTS = Object.freeze({
+  cacheTtl: 0,
+  commandTimeout: 10000,
+});
+
+/**
+ * Reads a password from a file (e.g. a mounted Kubernetes or Docker secret).
+ *
+ * @param {string} file - Path to the secret file
+ * @returns {Promise<string>} File contents without surrounding whitespace
+ */
+async function readPasswordFile(file) {
+  const contents = await fs.promises.readFile(file, 'utf8');
+  return contents.trim();
+}
+
+/**
+ * Runs a local command and uses its standard output as the password.
+ *
+ * @param {string} command - Shell command to run
+ * @param {number} timeout - Command timeout in milliseconds
+ * @returns {Promise<string>} Command output without surrounding whitespace
+ */
+function runPasswordCommand(command, timeout) {
+  return new Promise((resolve, reject) => {
+    exec(command, { timeout, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = stderr && stderr.trim() ? `: ${stderr.trim()}` : '';
+        reject(new Error(`${err.killed ? 'timed out' : `exited with code ${err.code}`}${detail}`));
+        return;
+      }
+      resolve(String(stdout).trim());
+    });
+  });
+}
+
+/**
+ * Creates a password provider for the pool.
+ *
+ * For the `static` source the password string itself is returned. Every
+ * other source returns an async function that node-postgres calls for each
+ * new connection, so rotated secrets are picked up without a redeploy.
+ *
+ * @param {object} options - Provider options
+ * @param {string} [options.source='static'] - One of {@link PASSWORD_SOURCES}
+ * @param {string} [options.password] - Static password
+ * @param {string} [options.file] - Secret file path (file source)
+ * @param {string} [options.command] - Command printing the password (command source)
+ * @param {function(object): (string|Promise<string>)} [options.fn] - Password function (function source)
+ * @param {object} [options.context] - Passed to `fn` (e.g. host, database, user)
+ * @param {number} [options.cacheTtl=0] - Reuse a fetched password for this many milliseconds
+ * @param {number} [options.commandTimeout=10000] - Command timeout in milliseconds
+ * @returns {string|function(): Promise<string>} Password or async password callback
+ * @throws {Error} If the source is unknown or its setting is missing
+ *
+ * @example
+ * const password = createPasswordProvider({ source: 'file', file: '/run/secrets/pg' });
+ * const pool = createPool({ host, database, user, password });
+ */
+function createPasswordProvider({
+  source = PASSWORD_SOURCES.STATIC,
+  password,
+  file,
+  command,
+  fn,
+  context = {},
+  cacheTtl = PROVIDER_DEFAULTS.cacheTtl,
+  commandTimeout = PROVIDER_DEFAULTS.commandTimeout,
+} = {}) {
+  let fetchPassword;
+  switch (source) {
+    case PASSWORD_SOURCES.STATIC:
+      return password;
+
+    case PASSWORD_SOURCES.FILE:
+      if (!file) {
+        throw new Error('Password file path is required for the file password source');
+      }
+      fetchPassword = () => readPasswordFile(file);
+      break;
+
+    case PASSWORD_SOURCES.COMMAND:
+      if (!command) {
+        throw new Error('Password command is required for the command password source');
+      }
+      fetchPassword = () => runPasswordCommand(command, commandTimeout);
+      break;
+
+    case PASSWORD_SOURCES.FUNCTION:
+      if (typeof fn !== 'function') {
+        throw new Error('A password function is required for the function password source');
+      }
+      fetchPassword = async () => fn({ ...context });
+      break;
+
+    default:
+      throw new Error(`Unsupported password source "${source}"`);
+  }
+
+  let cached = null;
+  let cachedAt = 0;
+
+  return async function providePassword() {
+    if (cached !== null && cacheTtl > 0 && Date.now() - cachedAt < cacheTtl) {
+      return cached;
+    }
+
+    let value;
+    try {
+      value = await fetchPassword();
+    } catch (err) {
+      throw new Error(`Failed to obtain database password from ${source} source: ${err.message}`);
+    }
+    if (typeof value !== 'string' || value === '') {
+      throw new Error(`Password ${source} source returned an empty password`);
+    }
+
+    cached = value;
+    cachedAt = Date.now();
+    return value;
+  };
+}
+
+module.exports = {
+  createPasswordProvider,
+  PASSWORD_SOURCES,
+  PROVIDER_DEFAULTS,
+};
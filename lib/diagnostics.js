@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Connection diagnostics for pgvector-config's "Test connection" button.
+ * Reports server version, pgvector extension status and the privileges the nodes need.
+ * @module lib/diagnostics
+ */
+
+'use strict';
+
+const { withClient } = require('./client');
+
+/**
+ * Default timeout for the diagnostics query in milliseconds.
+ * @constant {number}
+ */
+const DIAGNOSTICS_TIMEOUT = 10000;
+
+/**
+ * Single round trip collecting everything the diagnostics report.
+ * @constant {string}
+ */
+const DIAGNOSTICS_SQL = `
+  SELECT
+    current_setting('server_version') AS server_version,
+    current_setting('server_version_num')::int AS server_version_num,
+    current_database() AS database,
+    current_user AS "user",
+    current_schema() AS schema,
+    current_setting('is_superuser') = 'on' AS superuser,
+    (SELECT extversion FROM pg_extension WHERE extname = 'vector') AS vector_version,
+    (SELECT default_version FROM pg_available_extensions WHERE name = 'vector') AS vector_available,
+    has_database_privilege(current_database(), 'CREATE') AS can_create_schema,
+    COALESCE(has_schema_privilege(current_schema(), 'CREATE'), false) AS can_create_table,
+    COALESCE(has_schema_privilege(current_schema(), 'USAGE'), false) AS can_use_schema
+`;
+
+/**
+ * Builds human-readable warnings for a diagnostics row.
+ *
+ * @param {object} row - Row returned by the diagnostics query
+ * @returns {string[]} Warnings; empty when everything the nodes need is available
+ */
+function diagnosticWarnings(row) {
+  const warnings = [];
+  if (!row.vector_version) {
+    warnings.push(row.vector_available
+      ? `pgvector ${row.vector_available} is available but not installed in "${row.database}"; run the create-extension action`
+      : 'pgvector is not available on this server; install the extension package first');
+  }
+  if (!row.schema) {
+    warnings.push('No schema on the search path exists; tables cannot be created without qualifying them');
+  } else if (!row.can_use_schema) {
+    warnings.push(`User "${row.user}" has no USAGE privilege on schema "${row.schema}"`);
+  } else if (!row.can_create_table) {
+    warnings.push(`User "${row.user}" cannot create tables in schema "${row.schema}" (create-table will fail)`);
+  }
+  if (!row.vector_version && !row.superuser && !row.can_create_schema) {
+    warnings.push(`User "${row.user}" may not be allowed to create extensions; ask a superuser to run CREATE EXTENSION vector`);
+  }
+  return warnings;
+}
+
+/**
+ * Connects through a pool and reports what the server offers.
+ *
+ * Session initialization configured on the pool (role, search path, settings)
+ * runs first, so problems there are reported as connection failures.
+ *
+ * @param {import('pg').Pool} pool - Pool to test (typically a short-lived pool of size 1)
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout=10000] - Statement timeout in milliseconds
+ * @returns {Promise<object>} `{serverVersion, serverVersionNum, database, user, schema, superuser,
+ *   pgvector: {installed, version, available}, privileges: {createSchema, createTable, useSchema},
+ *   warnings, latencyMs}`
+ * @throws {Error} If the connection or query fails
+ *
+ * @example
+ * const report = await runDiagnostics(pool);
+ * console.log(report.serverVersion, report.pgvector.version);
+ */
+async function runDiagnostics(pool, { timeout = DIAGNOSTICS_TIMEOUT } = {}) {
+  const start = Date.now();
+  const result = await withClient(pool, (client) => client.query(DIAGNOSTICS_SQL), timeout);
+  const row = result.rows[0];
+
+  return {
+    serverVersion: row.server_version,
+    serverVersionNum: row.server_version_num,
+    database: row.database,
+    user: row.user,
+    schema: row.schema,
+    superuser: row.superuser,
+    pgvector: {
+      installed: !!row.vector_version,
+      version: row.vector_version || null,
+      available: row.vector_available || null,
+    },
+    privileges: {
+      createSchema: row.can_create_schema,
+      createTable: row.can_create_table,
+      useSchema: row.can_use_schema,
+    },
+    warnings: diagnosticWarnings(row),
+    latencyMs: Date.now() - start,
+  };
+}
+
+module.exports = {
+  runDiagnostics,
+  diagnosticWarnings,
+  DIAGNOSTICS_SQL,
+  DIAGNOSTICS_TIMEOUT,
+};
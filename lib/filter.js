@@ -0,0 +1,321 @@
+/**
+ * @fileoverview WHERE clause building for similarity search.
+ * Compiles MongoDB-style metadata filters to parameterized SQL with escaped
+ * identifiers, and binds values to placeholders in raw WHERE clauses.
+ * @module lib/filter
+ */
+
+'use strict';
+
+const format = require('pg-format');
+
+/**
+ * Comparison operators and their SQL counterparts.
+ * @constant {Object<string, string>}
+ */
+const COMPARISON_OPERATORS = Object.freeze({
+  $eq: '=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'LIKE',
+});
+
+/**
+ * Every operator accepted on a field.
+ * @constant {string[]}
+ */
+const FIELD_OPERATORS = Object.freeze([...Object.keys(COMPARISON_OPERATORS), '$ne', '$in', '$nin', '$exists']);
+
+/**
+ * Logical operators accepted where a filter is expected.
+ * @constant {string[]}
+ */
+const LOGICAL_OPERATORS = Object.freeze(['$and', '$or', '$not']);
+
+/**
+ * SQL types a JSONB comparison value is bound as, by JSON type.
+ * @constant {Object<string, string>}
+ */
+const JSON_SQL_TYPES = Object.freeze({
+  number: 'numeric',
+  boolean: 'boolean',
+  string: 'text',
+});
+
+/**
+ * Returns the JSON type a JSONB value is compared as, based on the JavaScript value.
+ *
+ * @param {*} value - Comparison value
+ * @returns {string} `number`, `boolean` or `string`, as reported by `jsonb_typeof`
+ */
+function jsonValueType(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return typeof value;
+  }
+  return 'string';
+}
+
+/**
+ * Resolves a filter field to an SQL operand.
+ *
+ * A plain name is a column. A dotted name is a path into a JSONB column:
+ * `metadata.author` reads key `author` of column `metadata`. Path keys are
+ * passed as a parameter, never interpolated.
+ *
+ * @param {string} field - Field name
+ * @param {Array} params - Query parameters; the path is appended for JSONB fields
+ * @returns {{sql: string, json: (string|null), exists: string}} Operand as SQL (text for JSONB
+ *   fields), as JSONB (`null` for columns), and an existence test
+ */
+function resolveField(field, params) {
+  if (!field || typeof field !== 'string') {
+    throw new Error('Invalid filter field: must be a non-empty string');
+  }
+
+  const [column, ...path] = field.split('.');
+  if (!column || path.some((key) => key === '')) {
+    throw new Error(`Invalid filter field "${field}"`);
+  }
+  const safeColumn = format.ident(column);
+
+  if (path.length === 0) {
+    return { sql: safeColumn, json: null, exists: `${safeColumn} IS NOT NULL` };
+  }
+
+  params.push(path);
+  const pathParam = `$${params.length}::text[]`;
+  return {
+    sql: `(${safeColumn} #>> ${pathParam})`,
+    json: `(${safeColumn} #> ${pathParam})`,
+    exists: `${safeColumn} #> ${pathParam} IS NOT NULL`,
+  };
+}
+
+/**
+ * Compiles one operator applied to a field.
+ *
+ * JSONB fields are compared as JSONB against `to_jsonb()` of the value, so a
+ * key holding a different type never fails the query with a cast error.
+ * Ordered comparisons only match keys of the value's JSON type.
+ *
+ * @param {object} operand - Field operand from {@link resolveField}
+ * @param {string} op - Operator
+ * @param {*} value - Operator argument
+ * @param {Array} params - Query parameters
+ * @returns {string} SQL condition
+ */
+function compileOperator(operand, op, value, params) {
+  const isPath = operand.json !== null;
+  const target = isPath ? operand.json : operand.sql;
+  const bind = (arg, type) => {
+    params.push(arg);
+    return isPath ? `to_jsonb($${params.length}::${type})` : `$${params.length}`;
+  };
+
+  if (op === '$exists') {
+    return value ? operand.exists : `NOT (${operand.exists})`;
+  }
+
+  if (op === '$in' || op === '$nin') {
+    if (!Array.isArray(value)) {
+      throw new Error(`Filter operator ${op} requires an array`);
+    }
+    if (value.length === 0) {
+      return op === '$in' ? 'FALSE' : 'TRUE';
+    }
+    params.push(value);
+    const list = isPath
+      ? `SELECT jsonb_array_elements(to_jsonb($${params.length}::${JSON_SQL_TYPES[jsonValueType(value[0])]}[]))`
+      : `$${params.length}`;
+    const test = `${target} = ANY(${list})`;
+    // Like $ne, $nin also matches rows where the field is missing
+    return op === '$in' ? test : `(${test}) IS NOT TRUE`;
+  }
+
+  if (op === '$eq' && value === null) {
+    return `${operand.sql} IS NULL`;
+  }
+  if (op === '$ne') {
+    if (value === null) {
+      return `${operand.sql} IS NOT NULL`;
+    }
+    return `${target} IS DISTINCT FROM ${bind(value, JSON_SQL_TYPES[jsonValueType(value)])}`;
+  }
+
+  if (value === null || typeof value === 'object') {
+    throw new Error(`Filter operator ${op} requires a string, number or boolean`);
+  }
+  if (op === '$like') {
+    if (typeof value !== 'string') {
+      throw new Error('Filter operator $like requires a string pattern');
+    }
+    params.push(value);
+    return `${operand.sql} LIKE $${params.length}`;
+  }
+  const type = jsonValueType(value);
+  const test = `${target} ${COMPARISON_OPERATORS[op]} ${bind(value, JSON_SQL_TYPES[type])}`;
+  // JSONB orders values of different types by type, so 'true' > 5 would hold
+  return isPath && op !== '$eq' ? `(jsonb_typeof(${target}) = '${type}' AND ${test})` : test;
+}
+
+/**
+ * Compiles the condition for one field.
+ *
+ * @param {string} field - Field name
+ * @param {*} condition - Value (equality) or object of operators
+ * @param {Array} params - Query parameters
+ * @returns {string} SQL condition
+ */
+function compileField(field, condition, params) {
+  const operand = resolveField(field, params);
+
+  const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition) &&
+    !(condition instanceof Date) && Object.keys(condition).some((key) => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    if (condition instanceof Date || Array.isArray(condition) || (condition !== null && typeof condition === 'object')) {
+      // Dates, arrays and objects compare as a whole against a column
+      if (operand.json !== null) {
+        throw new Error(`Filter field "${field}" can only be compared with strings, numbers or booleans`);
+      }
+      params.push(condition);
+      return `${operand.sql} = $${params.length}`;
+    }
+    return compileOperator(operand, '$eq', condition, params);
+  }
+
+  const parts = Object.entries(condition).map(([op, value]) => {
+    if (!FIELD_OPERATORS.includes(op)) {
+      throw new Error(`Unknown filter operator "${op}" on field "${field}"`);
+    }
+    return compileOperator(operand, op, value, params);
+  });
+  return parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`;
+}
+
+/**
+ * Compiles a filter object to a SQL condition, appending values to `params`.
+ *
+ * Supported syntax:
+ * - `{ field: value }` - equality (`null` tests IS NULL)
+ * - `{ field: { $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $like, $exists } }`
+ * - `{ $and: [filters] }`, `{ $or: [filters] }`, `{ $not: filter }`
+ * - `metadata.author` style fields read keys from a JSONB column and compare
+ *   as JSONB; ordered comparisons only match keys holding the value's JSON type
+ *
+ * Several keys in one object are combined with AND.
+ *
+ * @param {object} filter - Filter object
+ * @param {Array} params - Query parameters; placeholders are numbered after the existing entries
+ * @returns {string} SQL condition, or an empty string for an empty filter
+ * @throws {Error} If the filter uses an unknown operator or an invalid value
+ *
+ * @example
+ * const params = ['[1,2,3]'];
+ * compileFilter({ category: 'tech', 'metadata.year': { $gte: 2020 } }, params);
+ * // "category = $2 AND (jsonb_typeof((metadata #> $3::text[])) = 'number' AND
+ * //   (metadata #> $3::text[]) >= to_jsonb($4::numeric))"
+ * // params: ['[1,2,3]', 'tech', ['year'], 2020]
+ */
+function compileFilter(filter, params) {
+  if (filter == null) {
+    return '';
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Filter must be an object');
+  }
+
+  const parts = Object.entries(filter).map(([key, value]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Filter operator ${key} requires a non-empty array`);
+      }
+      const children = value.map((child) => compileFilter(child, params) || 'TRUE');
+      return `(${children.join(key === '$and' ? ' AND ' : ' OR ')})`;
+    }
+    if (key === '$not') {
+      return `NOT (${compileFilter(value, params) || 'TRUE'})`;
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unknown filter operator "${key}"; use ${LOGICAL_OPERATORS.join(', ')} or a field name`);
+    }
+    return compileField(key, value, params);
+  });
+
+  return parts.join(' AND ');
+}
+
+/**
+ * Matches what {@link bindWhereParams} must step over (quoted strings and
+ * identifiers, `::` casts) and the placeholders it replaces (`$1`, `:name`).
+ * @constant {RegExp}
+ */
+const WHERE_TOKEN_PATTERN = /'(?:[^']|'')*'|"(?:[^"]|"")*"|::|(?<![\w$])\$(\d+)|(?<![\w:]):([A-Za-z_]\w*)/g;
+
+/**
+ * Binds values to the placeholders of a raw WHERE clause, appending them to
+ * `params` and renumbering the placeholders to follow the existing entries.
+ *
+ * With an array, `$1` refers to its first element; with an object, `:name`
+ * refers to its `name` property. A value referenced several times is passed
+ * once. Placeholders inside quoted strings and identifiers are left alone.
+ * Without `whereParams` the clause is returned unchanged.
+ *
+ * @param {string} whereSql - Raw WHERE clause
+ * @param {Array|Object<string, *>} [whereParams] - Positional or named values
+ * @param {Array} params - Query parameters
+ * @returns {string} WHERE clause with renumbered placeholders
+ * @throws {Error} If a placeholder has no value or does not match the style of `whereParams`
+ *
+ * @example
+ * const params = ['[1,2,3]', 'tech'];
+ * bindWhereParams('created_at > :since AND author = :author', { since: '2024-01-01', author: 'Ada' }, params);
+ * // 'created_at > $3 AND author = $4'
+ */
+function bindWhereParams(whereSql, whereParams, params) {
+  if (whereParams == null) {
+    return whereSql;
+  }
+  if (typeof whereParams !== 'object') {
+    throw new Error('whereParams must be an array (for $1, $2, ...) or an object (for :name)');
+  }
+
+  const positional = Array.isArray(whereParams);
+  const placeholders = new Map();
+  const bind = (key, value) => {
+    if (!placeholders.has(key)) {
+      params.push(value);
+      placeholders.set(key, `$${params.length}`);
+    }
+    return placeholders.get(key);
+  };
+
+  return whereSql.replace(WHERE_TOKEN_PATTERN, (token, position, name) => {
+    if (position !== undefined) {
+      if (!positional) {
+        throw new Error(`Placeholder $${position} needs whereParams to be an array`);
+      }
+      const index = Number(position) - 1;
+      if (index < 0 || index >= whereParams.length) {
+        throw new Error(`whereParams has no value for $${position}`);
+      }
+      return bind(index, whereParams[index]);
+    }
+    if (name !== undefined && !positional) {
+      if (!Object.prototype.hasOwnProperty.call(whereParams, name)) {
+        throw new Error(`whereParams has no value for :${name}`);
+      }
+      return bind(name, whereParams[name]);
+    }
+    return token;
+  });
+}
+
+module.exports = {
+  compileFilter,
+  bindWhereParams,
+  FIELD_OPERATORS,
+  LOGICAL_OPERATORS,
+};
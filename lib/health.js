@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Background connection health monitoring for pgvector pools.
+ * Periodically probes a pool and reports connected/degraded/down transitions.
+ * @module lib/health
+ */
+
+'use strict';
+
+const { testConnection } = require('./client');
+
+/**
+ * Pool health states.
+ * @constant {Object<string, string>}
+ */
+const POOL_STATES = Object.freeze({
+  UNKNOWN: 'unknown',
+  CONNECTED: 'connected',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+});
+
+/**
+ * Default health monitor settings.
+ * @constant {object}
+ */
+const HEALTH_DEFAULTS = Object.freeze({
+  interval: 30000,
+  timeout: 5000,
+  slowThreshold: 1000,
+});
+
+/**
+ * Creates a monitor that probes a pool on an interval.
+ *
+ * A failed probe reports `down`; a probe slower than `slowThreshold`
+ * reports `degraded`; otherwise `connected`. `onStateChange` is only
+ * called when the state changes.
+ *
+ * @param {object} options - Monitor options
+ * @param {import('pg').Pool} options.pool - Pool to probe
+ * @param {number} [options.interval=30000] - Probe interval in milliseconds (0 disables)
+ * @param {number} [options.timeout=5000] - Probe timeout in milliseconds
+ * @param {number} [options.slowThreshold=1000] - Latency above which the pool is degraded
+ * @param {function(import('pg').Pool, number): Promise<boolean>} [options.probe] - Probe function
+ * @param {function(object): void} [options.onStateChange] - Called with `{state, previous, latencyMs, timestamp}`
+ * @returns {{check: function(): Promise<string>, getState: function(): string, getLastResult: function(): object, stop: function(): void}} Monitor
+ *
+ * @example
+ * const monitor = createHealthMonitor({
+ *   pool,
+ *   onStateChange: ({ state }) => console.log(`pool is ${state}`),
+ * });
+ */
+function createHealthMonitor({
+  pool,
+  interval = HEALTH_DEFAULTS.interval,
+  timeout = HEALTH_DEFAULTS.timeout,
+  slowThreshold = HEALTH_DEFAULTS.slowThreshold,
+  probe = testConnection,
+  onStateChange,
+}) {
+  let state = POOL_STATES.UNKNOWN;
+  let lastResult = { state, latencyMs: null, timestamp: null };
+  let timer = null;
+
+  /**
+   * Probes the pool once and updates the state.
+   * @returns {Promise<string>} New state
+   */
+  async function check() {
+    const start = Date.now();
+    const healthy = await probe(pool, timeout).catch(() => false);
+    const latencyMs = Date.now() - start;
+
+    let next = POOL_STATES.CONNECTED;
+    if (!healthy) {
+      next = POOL_STATES.DOWN;
+    } else if (slowThreshold > 0 && latencyMs > slowThreshold) {
+      next = POOL_STATES.DEGRADED;
+    }
+
+    const previous = state;
+    state = next;
+    lastResult = { state, latencyMs, timestamp: new Date().toISOString() };
+
+    if (next !== previous && onStateChange) {
+      onStateChange({ ...lastResult, previous });
+    }
+    return state;
+  }
+
+  /**
+   * Stops periodic probing.
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  if (interval > 0) {
+    timer = setInterval(() => {
+      check().catch(() => {});
+    }, interval);
+    // Never keep the process alive just for health checks
+    timer.unref();
+    check().catch(() => {});
+  }
+
+  return {
+    check,
+    getState: () => state,
+    getLastResult: () => lastResult,
+    stop,
+  };
+}
+
+module.exports = {
+  createHealthMonitor,
+  POOL_STATES,
+  HEALTH_DEFAULTS,
+};
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Per-node concurrency limit with a bounded queue.
+ * Keeps a burst of messages on one node from saturating the shared pool.
+ * @module lib/limiter
+ */
+
+'use strict';
+
+const { registerQueueMetrics, recordQueueOverflow } = require('./telemetry');
+
+/**
+ * What happens to a new message when every slot is busy and the queue is full.
+ * - wait: fail the new message, like reject; kept for flows saved when the queue had no upper bound
+ * - drop-oldest: fail the oldest queued message to make room
+ * - reject: fail the new message (default)
+ * @constant {Object<string, string>}
+ */
+const OVERFLOW_POLICIES = Object.freeze({
+  WAIT: 'wait',
+  DROP_OLDEST: 'drop-oldest',
+  REJECT: 'reject',
+});
+
+/**
+ * Default limiter settings. A concurrency of 0 means unlimited.
+ * @constant {object}
+ */
+const LIMITER_DEFAULTS = Object.freeze({
+  concurrency: 0,
+  queueSize: 1000,
+  overflow: OVERFLOW_POLICIES.REJECT,
+});
+
+/**
+ * Error code for a message rejected because the queue was full.
+ * @constant {string}
+ */
+const QUEUE_FULL_CODE = 'EQUEUEFULL';
+
+/**
+ * Error code for a queued message dropped to make room for a newer one.
+ * @constant {string}
+ */
+const QUEUE_DROPPED_CODE = 'EQUEUEDROPPED';
+
+/**
+ * Error code for queued messages discarded when the node closes.
+ * @constant {string}
+ */
+const QUEUE_CLEARED_CODE = 'EQUEUECLEARED';
+
+/**
+ * Creates an error with a code.
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createQueueError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Reads limiter settings from a node's editor config. Blank fields are
+ * left unset so the defaults apply.
+ *
+ * @param {object} config - Node configuration with concurrency, queueSize, overflow
+ * @returns {object} Partial limiter options
+ */
+function limiterOptionsFromConfig(config = {}) {
+  const options = {};
+  if (config.concurrency != null && config.concurrency !== '') {
+    options.concurrency = Number(config.concurrency);
+  }
+  if (config.queueSize != null && config.queueSize !== '') {
+    options.queueSize = Number(config.queueSize);
+  }
+  if (config.overflow) {
+    options.overflow = config.overflow;
+  }
+  return options;
+}
+
+/**
+ * Creates a concurrency limiter.
+ *
+ * Up to `concurrency` tasks run at once; further tasks wait in a FIFO queue
+ * of `queueSize` entries. When the queue is full, `overflow` decides what
+ * happens (see {@link OVERFLOW_POLICIES}).
+ *
+ * @param {object} [options] - Limiter options
+ * @param {number} [options.concurrency=0] - Tasks allowed to run at once (0 = unlimited)
+ * @param {number} [options.queueSize=1000] - Tasks allowed to wait before the overflow policy applies
+ * @param {string} [options.overflow='reject'] - Overflow policy
+ * @param {function(object): void} [options.onChange] - Called with `{active, queued}` when either changes
+ * @returns {{run: function(function(): Promise<*>): Promise<*>, overflow: string, getActive: function(): number,
+ *   getQueued: function(): number, isOverloaded: function(): boolean, clear: function(string=): number}} Limiter
+ * @throws {Error} If a setting is invalid
+ *
+ * @example
+ * const limiter = createLimiter({ concurrency: 4, queueSize: 100, overflow: 'reject' });
+ * const result = await limiter.run(() => pool.query(sql));
+ */
+function createLimiter({
+  concurrency = LIMITER_DEFAULTS.concurrency,
+  queueSize = LIMITER_DEFAULTS.queueSize,
+  overflow = LIMITER_DEFAULTS.overflow,
+  onChange,
+} = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 0) {
+    throw new Error(`Invalid concurrency "${concurrency}": must be 0 (unlimited) or a positive whole number`);
+  }
+  if (!Number.isInteger(queueSize) || queueSize < 0) {
+    throw new Error(`Invalid queue size "${queueSize}": must be 0 or a positive whole number`);
+  }
+  if (!Object.values(OVERFLOW_POLICIES).includes(overflow)) {
+    throw new Error(`Invalid overflow policy "${overflow}": use ${Object.values(OVERFLOW_POLICIES).join(', ')}`);
+  }
+
+  let active = 0;
+  const queue = [];
+
+  function notify() {
+    if (onChange) {
+      onChange({ active, queued: queue.length });
+    }
+  }
+
+  function start(task) {
+    active++;
+    Promise.resolve()
+      .then(task.fn)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        active--;
+        if (queue.length > 0) {
+          start(queue.shift());
+        }
+        notify();
+      });
+  }
+
+  /**
+   * Runs a task now or once a slot frees up.
+   * @template T
+   * @param {function(): Promise<T>} fn - Work to run
+   * @returns {Promise<T>} Result of `fn`
+   * @throws {Error} {@link QUEUE_FULL_CODE} or {@link QUEUE_DROPPED_CODE} errors on overflow
+   */
+  function run(fn) {
+    return new Promise((resolve, reject) => {
+      const task = { fn, resolve, reject };
+      if (concurrency === 0 || active < concurrency) {
+        start(task);
+        notify();
+        return;
+      }
+      if (queue.length >= queueSize) {
+        // Only drop-oldest makes room; every other policy keeps the queue bounded
+        if (overflow !== OVERFLOW_POLICIES.DROP_OLDEST) {
+          reject(createQueueError(QUEUE_FULL_CODE,
+            `Queue full: ${queueSize} messages already waiting for ${concurrency} concurrent slots`));
+          return;
+        }
+        if (overflow === OVERFLOW_POLICIES.DROP_OLDEST) {
+          const dropped = queue.shift();
+          if (!dropped) {
+            reject(createQueueError(QUEUE_FULL_CODE, `Queue full: all ${concurrency} concurrent slots busy`));
+            return;
+          }
+          dropped.reject(createQueueError(QUEUE_DROPPED_CODE, 'Dropped from a full queue to make room for a newer message'));
+        }
+      }
+      queue.push(task);
+      notify();
+    });
+  }
+
+  /**
+   * Fails every queued task; running tasks are left to finish.
+   * @param {string} [reason='queue cleared'] - Reason included in the error
+   * @returns {number} Number of tasks discarded
+   */
+  function clear(reason = 'queue cleared') {
+    const discarded = queue.splice(0);
+    for (const task of discarded) {
+      task.reject(createQueueError(QUEUE_CLEARED_CODE, `Discarded from queue: ${reason}`));
+    }
+    if (discarded.length > 0) {
+      notify();
+    }
+    return discarded.length;
+  }
+
+  return {
+    run,
+    clear,
+    overflow,
+    getActive: () => active,
+    getQueued: () => queue.length,
+    isOverloaded: () => queue.length > 0 && queue.length >= queueSize,
+  };
+}
+
+/**
+ * Creates a node's limiter from its editor config and ties it to the node's
+ * lifecycle: queue gauges are registered for telemetry, and queued messages
+ * are discarded when the node closes.
+ *
+ * @param {object} node - Operational Node-RED node
+ * @param {object} config - Node configuration with concurrency, queueSize, overflow
+ * @param {object} [options] - Options
+ * @param {function(object): void} [options.onChange] - Passed to {@link createLimiter}
+ * @returns {object} Limiter, see {@link createLimiter}
+ */
+function attachLimiter(node, config, { onChange } = {}) {
+  let limiter;
+  try {
+    limiter = createLimiter({ ...limiterOptionsFromConfig(config), onChange });
+  } catch (err) {
+    node.error(`${err.message}; running without a concurrency limit`);
+    limiter = createLimiter({ onChange });
+  }
+
+  const unregisterMetrics = registerQueueMetrics(limiter, node.id);
+  node.on('close', () => {
+    const discarded = limiter.clear('node closed');
+    if (discarded > 0) {
+      node.warn(`Discarded ${discarded} queued message(s) on close`);
+    }
+    unregisterMetrics();
+  });
+
+  return limiter;
+}
+
+/**
+ * Wraps a node's input handler so messages run through its limiter.
+ * Overflow errors are reported against the message that was dropped or
+ * rejected; messages discarded on close complete silently.
+ *
+ * @param {object} node - Operational Node-RED node
+ * @param {object} limiter - Limiter from {@link attachLimiter}
+ * @param {function(object, function, function): Promise<void>} handler - Input handler; reports its own errors
+ * @returns {function(object, function, function): void} Input handler to register
+ *
+ * @example
+ * node.on('input', limitInput(node, limiter, async (msg, send, done) => { ... }));
+ */
+function limitInput(node, limiter, handler) {
+  return (msg, send, done) => {
+    limiter.run(() => handler(msg, send, done)).catch((err) => {
+      if (err.code === QUEUE_CLEARED_CODE) {
+        done();
+        return;
+      }
+      if (err.code === QUEUE_FULL_CODE || err.code === QUEUE_DROPPED_CODE) {
+        recordQueueOverflow(node.id, limiter.overflow);
+      }
+      node.error(err, msg);
+      done(err);
+    });
+  };
+}
+
+module.exports = {
+  createLimiter,
+  attachLimiter,
+  limitInput,
+  limiterOptionsFromConfig,
+  OVERFLOW_POLICIES,
+  LIMITER_DEFAULTS,
+  QUEUE_FULL_CODE,
+  QUEUE_DROPPED_CODE,
+  QUEUE_CLEARED_CODE,
+};
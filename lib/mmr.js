@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Maximal marginal relevance (MMR) reranking for search results.
+ * Picks results one at a time, trading similarity to the query against
+ * similarity to the results already picked, so near-duplicates are pushed down.
+ * Both similarities are scores of the search metric.
+ * @module lib/mmr
+ */
+
+'use strict';
+
+const { parseTypedVector, resolveMetric, vectorDimension } = require('./vector-utils');
+
+/**
+ * MMR defaults.
+ * - lambda: weight of query relevance (1 = plain ranking, 0 = maximum diversity)
+ * - fetchFactor / minFetch: candidates fetched when fetchK is not set (`max(limit * 4, 20)`)
+ * - vectorColumn: column the candidate vectors are returned in; removed from the results
+ * @constant {Object<string, *>}
+ */
+const MMR_DEFAULTS = Object.freeze({
+  lambda: 0.5,
+  fetchFactor: 4,
+  minFetch: 20,
+  vectorColumn: 'mmr_vector',
+});
+
+/**
+ * Prepares a parsed vector for repeated dot products.
+ * Bit strings become 0/1 arrays and sparse vectors index maps.
+ *
+ * @param {Array<number>|Float32Array|object|string} vec - Parsed vector of any type
+ * @returns {{dense?: ArrayLike<number>, sparse?: Map<number, number>, norm: number}} Prepared vector
+ */
+function prepareVector(vec) {
+  if (typeof vec === 'string') {
+    return prepareVector(Array.from(vec, Number));
+  }
+  if (vec && Array.isArray(vec.indices) && Array.isArray(vec.values)) {
+    const sparse = new Map();
+    let sumSquares = 0;
+    vec.indices.forEach((index, i) => {
+      sparse.set(index, vec.values[i]);
+      sumSquares += vec.values[i] * vec.values[i];
+    });
+    return { sparse, norm: Math.sqrt(sumSquares) };
+  }
+  let sumSquares = 0;
+  for (let i = 0; i < vec.length; i++) {
+    sumSquares += vec[i] * vec[i];
+  }
+  return { dense: vec, norm: Math.sqrt(sumSquares) };
+}
+
+/**
+ * Dot product of two prepared vectors, dense or sparse.
+ *
+ * @param {object} a - Prepared vector
+ * @param {object} b - Prepared vector
+ * @returns {number} Dot product
+ */
+function dot(a, b) {
+  let sum = 0;
+  if (a.dense && b.dense) {
+    const n = Math.min(a.dense.length, b.dense.length);
+    for (let i = 0; i < n; i++) {
+      sum += a.dense[i] * b.dense[i];
+    }
+    return sum;
+  }
+  const [sparse, other] = a.sparse && (!b.sparse || a.sparse.size <= b.sparse.size) ? [a, b] : [b, a];
+  for (const [index, value] of sparse.sparse) {
+    sum += value * (other.sparse ? (other.sparse.get(index) || 0) : (other.dense[index] || 0));
+  }
+  return sum;
+}
+
+/**
+ * Cosine similarity of two vectors of the same type. Zero vectors have similarity 0.
+ *
+ * @param {Array<number>|Float32Array|object|string} a - Vector (dense, sparse or bit string)
+ * @param {Array<number>|Float32Array|object|string} b - Vector of the same type
+ * @returns {number} Similarity from -1 to 1
+ *
+ * @example
+ * cosineSimilarity([1, 0], [1, 1])  // 0.7071...
+ */
+function cosineSimilarity(a, b) {
+  const pa = a.norm != null ? a : prepareVector(a);
+  const pb = b.norm != null ? b : prepareVector(b);
+  if (pa.norm === 0 || pb.norm === 0) {
+    return 0;
+  }
+  return dot(pa, pb) / (pa.norm * pb.norm);
+}
+
+/**
+ * Sum of absolute element differences of two prepared vectors, dense or sparse.
+ * For bit vectors this is the number of differing bits.
+ *
+ * @param {object} a - Prepared vector
+ * @param {object} b - Prepared vector
+ * @returns {number} L1 distance
+ */
+function absoluteDifference(a, b) {
+  let sum = 0;
+  if (a.dense && b.dense) {
+    const n = Math.max(a.dense.length, b.dense.length);
+    for (let i = 0; i < n; i++) {
+      sum += Math.abs((a.dense[i] || 0) - (b.dense[i] || 0));
+    }
+    return sum;
+  }
+  const valueAt = (vec, index) => (vec.sparse ? (vec.sparse.get(index) || 0) : (vec.dense[index] || 0));
+  const indices = new Set();
+  for (const vec of [a, b]) {
+    for (const index of vec.sparse ? vec.sparse.keys() : vec.dense.keys()) {
+      indices.add(index);
+    }
+  }
+  for (const index of indices) {
+    sum += Math.abs(valueAt(a, index) - valueAt(b, index));
+  }
+  return sum;
+}
+
+/**
+ * Distance of two prepared vectors as pgvector computes it for a metric.
+ *
+ * @param {object} a - Prepared vector
+ * @param {object} b - Prepared vector
+ * @param {string} metric - Resolved metric name
+ * @returns {number} Distance
+ */
+function vectorDistance(a, b, metric) {
+  switch (metric) {
+    case 'l2':
+      return Math.sqrt(Math.max(0, a.norm * a.norm + b.norm * b.norm - 2 * dot(a, b)));
+    case 'l1':
+    case 'hamming':
+      return absoluteDifference(a, b);
+    case 'inner-product':
+    case 'ip':
+      return -dot(a, b);
+    case 'jaccard': {
+      const shared = dot(a, b);
+      const either = a.norm * a.norm + b.norm * b.norm - shared;
+      return either === 0 ? 0 : 1 - shared / either;
+    }
+    default:
+      return 1 - cosineSimilarity(a, b);
+  }
+}
+
+/**
+ * Turns a distance into a score where higher is more similar, as
+ * {@link module:lib/vector-utils.scoreExpression} does in SQL.
+ *
+ * @param {string} metric - Resolved metric name
+ * @param {number} distance - Distance
+ * @param {number} [dimension] - Vector dimension (used by hamming)
+ * @returns {number} Score
+ */
+function distanceScore(metric, distance, dimension) {
+  switch (metric) {
+    case 'cosine':
+    case 'jaccard':
+      return 1 - distance;
+    case 'inner-product':
+    case 'ip':
+      return -distance;
+    case 'hamming':
+      return 1 - distance / (Number(dimension) || 1);
+    default:
+      return 1 / (1 + distance);
+  }
+}
+
+/**
+ * Returns how many candidates to fetch for MMR.
+ *
+ * @param {number} limit - Results wanted
+ * @param {*} [fetchK] - Requested candidates; blank for `max(limit * 4, 20)`
+ * @returns {number} Candidates to fetch, at least `limit`
+ * @throws {Error} If fetchK is not a positive whole number
+ */
+function resolveFetchK(limit, fetchK) {
+  const k = Number(limit) || 0;
+  if (fetchK == null || fetchK === '') {
+    return Math.max(k * MMR_DEFAULTS.fetchFactor, MMR_DEFAULTS.minFetch);
+  }
+  const value = Number(fetchK);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid fetchK "${fetchK}": must be a positive whole number`);
+  }
+  return Math.max(value, k);
+}
+
+/**
+ * Reranks search results with maximal marginal relevance.
+ *
+ * Each step picks the candidate with the highest
+ * `lambda * relevance - (1 - lambda) * redundancy`, where relevance is the
+ * metric score of the row's `distance` to the query and redundancy the highest
+ * metric score against an already picked result (0 for the first pick, never
+ * below 0). Scores follow {@link module:lib/vector-utils.scoreExpression}, so
+ * both terms are on the same scale. Ties keep the original (distance) order.
+ *
+ * Candidate vectors are read from `vectorColumn` (any format accepted by
+ * {@link module:lib/vector-utils.parseTypedVector}) and that column is removed.
+ * Picked rows get `mmr_relevance`, `mmr_redundancy` and `mmr_score` columns.
+ *
+ * @param {Array<object>} rows - Candidate rows, closest first
+ * @param {Array<number>|object|string} queryVector - Parsed query vector
+ * @param {object} [options] - MMR options
+ * @param {number} [options.limit=10] - Results to pick
+ * @param {number} [options.lambda=0.5] - Relevance weight from 0 to 1
+ * @param {string} [options.type='vector'] - Vector type of the column
+ * @param {string} [options.metric] - Search metric; defaults to the type's default metric
+ * @param {string} [options.vectorColumn='mmr_vector'] - Column holding each candidate's vector
+ * @returns {Array<object>} Picked rows in MMR order
+ * @throws {Error} If lambda is out of range, the metric does not apply to the type, or a candidate has no vector
+ *
+ * @example
+ * const rows = rerankMmr(result.rows, [0.1, 0.2], { limit: 5, lambda: 0.7 });
+ */
+function rerankMmr(rows, queryVector, options = {}) {
+  const {
+    limit = 10,
+    lambda = MMR_DEFAULTS.lambda,
+    type = 'vector',
+    metric,
+    vectorColumn = MMR_DEFAULTS.vectorColumn,
+  } = options;
+
+  const weight = lambda === '' ? MMR_DEFAULTS.lambda : Number(lambda);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+    throw new Error(`Invalid MMR lambda "${lambda}": must be between 0 and 1`);
+  }
+
+  const resolvedMetric = resolveMetric(type, metric);
+  const dimension = vectorDimension(queryVector) ?? queryVector?.length;
+  const similarity = (a, b) => distanceScore(resolvedMetric, vectorDistance(a, b, resolvedMetric), dimension);
+
+  const query = prepareVector(queryVector);
+  const candidates = rows.map((row) => {
+    const { [vectorColumn]: stored, ...rest } = row;
+    if (stored == null) {
+      throw new Error(`MMR candidate is missing its vector column "${vectorColumn}"`);
+    }
+    const vector = prepareVector(parseTypedVector(stored, type));
+    // The search already measured the distance to the query; recompute it only when it is missing
+    const relevance = row.distance != null
+      ? distanceScore(resolvedMetric, Number(row.distance), dimension)
+      : similarity(query, vector);
+    return { row: rest, vector, relevance, redundancy: 0 };
+  });
+
+  const picked = [];
+  while (picked.length < limit && candidates.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    candidates.forEach((candidate, i) => {
+      const mmrScore = weight * candidate.relevance - (1 - weight) * candidate.redundancy;
+      if (mmrScore > bestScore) {
+        best = i;
+        bestScore = mmrScore;
+      }
+    });
+
+    const [choice] = candidates.splice(best, 1);
+    picked.push({
+      ...choice.row,
+      mmr_relevance: choice.relevance,
+      mmr_redundancy: choice.redundancy,
+      mmr_score: bestScore,
+    });
+    for (const candidate of candidates) {
+      candidate.redundancy = Math.max(candidate.redundancy, similarity(candidate.vector, choice.vector));
+    }
+  }
+
+  return picked;
+}
+
+module.exports = {
+  rerankMmr,
+  resolveFetchK,
+  cosineSimilarity,
+  MMR_DEFAULTS,
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Read-replica routing for pgvector connection pools.
+ * Distributes read-only work across healthy replicas and falls back to the primary.
+ * @module lib/pool-router
+ */
+
+'use strict';
+
+const { testConnection } = require('./client');
+
+/**
+ * Default replica health check settings.
+ * @constant {object}
+ */
+const ROUTER_DEFAULTS = Object.freeze({
+  healthCheckInterval: 30000,
+  healthCheckTimeout: 5000,
+});
+
+/**
+ * Query intents understood by the router.
+ * @constant {Object<string, string>}
+ */
+const POOL_INTENTS = Object.freeze({
+  READ: 'read',
+  WRITE: 'write',
+});
+
+/**
+ * Parses a list of replica hosts in `host[:port]` form.
+ * Entries may be separated by commas, whitespace or newlines.
+ *
+ * @param {string} value - Host list
+ * @param {number} [defaultPort=5432] - Port used when an entry has none
+ * @returns {Array<{host: string, port: number}>} Parsed hosts
+ * @throws {Error} If an entry has an invalid port
+ *
+ * @example
+ * parseHostList('replica-1, replica-2:5433')
+ * // [{ host: 'replica-1', port: 5432 }, { host: 'replica-2', port: 5433 }]
+ */
+function parseHostList(value, defaultPort = 5432) {
+  if (!value || typeof value !== 'string') {
+    return [];
+  }
+
+  return value
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((entry) => {
+      // Bracketed IPv6 ([::1]:5432) or host:port
+      const match = entry.match(/^\[([^\]]+)\](?::(\d+))?$/) || entry.match(/^([^:]+)(?::(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid replica host "${entry}"`);
+      }
+      const port = match[2] != null ? Number(match[2]) : defaultPort;
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid port for replica "${entry}"`);
+      }
+      return { host: match[1], port };
+    });
+}
+
+/**
+ * Creates a router that sends read-only work to healthy replicas in
+ * round-robin order and everything else to the primary.
+ *
+ * Replicas are probed on an interval; a replica whose probe fails is
+ * skipped until a later probe succeeds. When no replica is healthy, reads
+ * fall back to the primary.
+ *
+ * @param {object} options - Router options
+ * @param {import('pg').Pool} options.primary - Primary pool
+ * @param {Array<{name: string, pool: import('pg').Pool}>} [options.replicas=[]] - Replica pools
+ * @param {number} [options.healthCheckInterval=30000] - Probe interval in milliseconds (0 disables)
+ * @param {number} [options.healthCheckTimeout=5000] - Probe timeout in milliseconds
+ * @param {function(import('pg').Pool, number): Promise<boolean>} [options.healthCheck] - Probe function
+ * @param {function(string, boolean): void} [options.onHealthChange] - Called with replica name and new health
+ * @returns {{getPool: function(string=): import('pg').Pool, checkReplicas: function(): Promise<void>, getReplicaStatus: function(): Array<{name: string, healthy: boolean}>, stop: function(): void}} Router
+ *
+ * @example
+ * const router = createPoolRouter({ primary, replicas: [{ name: 'replica-1:5432', pool }] });
+ * const pool = router.getPool('read');
+ */
+function createPoolRouter({
+  primary,
+  replicas = [],
+  healthCheckInterval = ROUTER_DEFAULTS.healthCheckInterval,
+  healthCheckTimeout = ROUTER_DEFAULTS.healthCheckTimeout,
+  healthCheck = testConnection,
+  onHealthChange,
+}) {
+  // Replicas start healthy so reads are routed before the first probe completes
+  const members = replicas.map(({ name, pool }) => ({ name, pool, healthy: true }));
+  let cursor = 0;
+  let timer = null;
+
+  /**
+   * Returns the pool to use for the given intent.
+   * @param {string} [intent='write'] - 'read' for replica-eligible work
+   * @returns {import('pg').Pool} Selected pool
+   */
+  function getPool(intent = POOL_INTENTS.WRITE) {
+    if (intent !== POOL_INTENTS.READ || members.length === 0) {
+      return primary;
+    }
+    for (let i = 0; i < members.length; i++) {
+      const member = members[(cursor + i) % members.length];
+      if (member.healthy) {
+        cursor = (cursor + i + 1) % members.length;
+        return member.pool;
+      }
+    }
+    return primary;
+  }
+
+  /**
+   * Probes every replica and updates its health.
+   * @returns {Promise<void>}
+   */
+  async function checkReplicas() {
+    await Promise.all(members.map(async (member) => {
+      const healthy = await healthCheck(member.pool, healthCheckTimeout);
+      if (healthy !== member.healthy) {
+        member.healthy = healthy;
+        if (onHealthChange) {
+          onHealthChange(member.name, healthy);
+        }
+      }
+    }));
+  }
+
+  /**
+   * Returns the current health of each replica.
+   * @returns {Array<{name: string, healthy: boolean}>}
+   */
+  function getReplicaStatus() {
+    return members.map(({ name, healthy }) => ({ name, healthy }));
+  }
+
+  /**
+   * Stops periodic health checks.
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  if (members.length > 0 && healthCheckInterval > 0) {
+    timer = setInterval(() => {
+      checkReplicas().catch(() => {});
+    }, healthCheckInterval);
+    // Never keep the process alive just for health checks
+    timer.unref();
+    checkReplicas().catch(() => {});
+  }
+
+  return {
+    getPool,
+    checkReplicas,
+    getReplicaStatus,
+    stop,
+  };
+}
+
+module.exports = {
+  createPoolRouter,
+  parseHostList,
+  POOL_INTENTS,
+  ROUTER_DEFAULTS,
+};
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Reflects pgvector-config pool health in operational node status badges.
+ * @module lib/pool-status
+ */
+
+'use strict';
+
+const { POOL_STATES } = require('./health');
+const { CIRCUIT_STATES } = require('./circuit-breaker');
+
+/**
+ * Node status badge for each pool state.
+ * @constant {Object<string, object>}
+ */
+const POOL_STATE_STATUS = Object.freeze({
+  [POOL_STATES.UNKNOWN]: {},
+  [POOL_STATES.CONNECTED]: { fill: 'green', shape: 'dot', text: 'connected' },
+  [POOL_STATES.DEGRADED]: { fill: 'yellow', shape: 'ring', text: 'degraded' },
+  [POOL_STATES.DOWN]: { fill: 'red', shape: 'ring', text: 'db down' },
+});
+
+/**
+ * Node status badge for non-closed circuit breaker states.
+ * An open circuit takes precedence over the pool health state.
+ * @constant {Object<string, object>}
+ */
+const CIRCUIT_STATE_STATUS = Object.freeze({
+  [CIRCUIT_STATES.OPEN]: { fill: 'red', shape: 'dot', text: 'circuit open' },
+  [CIRCUIT_STATES.HALF_OPEN]: { fill: 'yellow', shape: 'dot', text: 'circuit half-open' },
+});
+
+/**
+ * Returns the status badge for a pool state.
+ *
+ * @param {string} state - Pool state
+ * @param {string} [circuitState] - Primary pool circuit breaker state
+ * @returns {object} Node status object
+ */
+function statusForState(state, circuitState) {
+  return CIRCUIT_STATE_STATUS[circuitState] || POOL_STATE_STATUS[state] || {};
+}
+
+/**
+ * Keeps a node's status badge in sync with its config node's pool state
+ * and primary circuit breaker. Listeners are removed when the node closes.
+ *
+ * When the node has a concurrency limiter, the badge also shows how many
+ * messages are queued: appended to the activity while busy, and as a yellow
+ * badge (red once the queue exceeds its size) between messages.
+ *
+ * @param {object} node - Operational Node-RED node
+ * @param {object} [pgConfig] - pgvector-config node
+ * @param {object} [options] - Options
+ * @param {object} [options.limiter] - Node's limiter from lib/limiter
+ * @returns {{idle: function(): object, busy: function(string): object, retrying: function(object): void,
+ *   refresh: function(): void}} Helpers returning the badge to show between messages and while processing,
+ *   showing a retry in progress (usable as a withClientRetry `onRetry` callback), and re-rendering
+ *   the current badge (usable as a limiter `onChange` callback)
+ *
+ * @example
+ * const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
+ * node.status(poolStatus.busy('searching'));
+ * // after a message completes
+ * node.status(poolStatus.idle());
+ */
+function attachPoolStatus(node, pgConfig, { limiter } = {}) {
+  let activity = null;
+  let showingQueue = false;
+
+  const queued = () => (limiter ? limiter.getQueued() : 0);
+  const poolIdle = () => (pgConfig && typeof pgConfig.on === 'function'
+    ? statusForState(pgConfig.poolState, pgConfig.circuitState)
+    : {});
+  const idle = () => {
+    activity = null;
+    if (queued() > 0) {
+      return { fill: limiter.isOverloaded() ? 'red' : 'yellow', shape: 'ring', text: `${queued()} queued` };
+    }
+    return poolIdle();
+  };
+  const busy = (text) => {
+    activity = text;
+    return { fill: 'blue', shape: 'dot', text: queued() > 0 ? `${text} (${queued()} queued)` : text };
+  };
+  const retrying = ({ attempt, maxAttempts }) => {
+    node.status({ fill: 'yellow', shape: 'ring', text: `retrying ${attempt}/${maxAttempts - 1}` });
+  };
+  const refresh = () => {
+    // Handlers set the badge for each message; only queue changes need a redraw
+    if (queued() === 0 && !showingQueue) {
+      return;
+    }
+    showingQueue = queued() > 0;
+    node.status(activity ? busy(activity) : idle());
+  };
+
+  if (!pgConfig || typeof pgConfig.on !== 'function') {
+    return { idle, busy, retrying: () => {}, refresh };
+  }
+
+  const onStateChange = () => {
+    node.status(idle());
+  };
+  const onCircuitState = (event) => {
+    if (event.primary) {
+      onStateChange();
+    }
+  };
+  pgConfig.on('pool-state', onStateChange);
+  pgConfig.on('circuit-state', onCircuitState);
+  node.on('close', () => {
+    pgConfig.removeListener('pool-state', onStateChange);
+    pgConfig.removeListener('circuit-state', onCircuitState);
+  });
+
+  // Reflect a state that was already known when this node started
+  if (pgConfig.poolState && pgConfig.poolState !== POOL_STATES.UNKNOWN) {
+    node.status(idle());
+  }
+
+  return { idle, busy, retrying, refresh };
+}
+
+module.exports = {
+  attachPoolStatus,
+  statusForState,
+  POOL_STATE_STATUS,
+  CIRCUIT_STATE_STATUS,
+};
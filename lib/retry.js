@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Shared retry policy for pgvector database work.
+ * Classifies errors by SQLSTATE and retries with capped, jittered exponential backoff.
+ * @module lib/retry
+ */
+
+'use strict';
+
+/**
+ * Default retry policy. `maxAttempts` counts the first attempt, so 1 disables retries.
+ * @constant {object}
+ */
+const RETRY_DEFAULTS = Object.freeze({
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: 0.2,
+});
+
+/**
+ * How an error may be retried.
+ * - safe: the statement never ran or was rolled back; retry any statement
+ * - idempotent: the connection was lost mid-statement; retry only statements
+ *   that are safe to run twice (reads, upserts, IF NOT EXISTS DDL)
+ * - none: permanent error; never retry
+ * @constant {Object<string, string>}
+ */
+const RETRY_CLASSES = Object.freeze({
+  SAFE: 'safe',
+  IDEMPOTENT: 'idempotent',
+  NONE: 'none',
+});
+
+/**
+ * SQLSTATE codes that are always safe to retry.
+ * @constant {Set<string>}
+ */
+const SAFE_SQLSTATES = new Set([
+  '40001', // serialization_failure
+  '40P01', // deadlock_detected
+  '57P03', // cannot_connect_now
+  '08001', // sqlclient_unable_to_establish_sqlconnection
+  '08004', // sqlserver_rejected_establishment_of_sqlconnection
+]);
+
+/**
+ * SQLSTATE codes where the statement may already have run.
+ * @constant {Set<string>}
+ */
+const IDEMPOTENT_SQLSTATES = new Set([
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+]);
+
+/**
+ * Node.js socket error codes raised before a statement reaches the server.
+ * @constant {Set<string>}
+ */
+const SAFE_SOCKET_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+/**
+ * Node.js socket error codes that can interrupt a statement in flight.
+ * @constant {Set<string>}
+ */
+const IDEMPOTENT_SOCKET_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE']);
+
+/**
+ * Policy settings and the rule each value must satisfy.
+ * @constant {Object<string, {valid: function(number): boolean, message: string}>}
+ */
+const POLICY_RULES = Object.freeze({
+  maxAttempts: { valid: (v) => Number.isInteger(v) && v >= 1, message: 'must be a whole number of at least 1' },
+  baseDelay: { valid: (v) => Number.isFinite(v) && v >= 0, message: 'must be 0 or a positive number of milliseconds' },
+  maxDelay: { valid: (v) => Number.isFinite(v) && v >= 0, message: 'must be 0 or a positive number of milliseconds' },
+  jitter: { valid: (v) => Number.isFinite(v) && v >= 0 && v <= 1, message: 'must be between 0 and 1' },
+});
+
+/**
+ * Classifies an error for retry purposes.
+ *
+ * Server errors are classified by SQLSTATE (class 08 connection exceptions,
+ * class 53 insufficient resources, 40001, 40P01, 57P01-57P03). node-postgres
+ * errors without a SQLSTATE are classified by socket error code, or by the
+ * driver's connection-loss messages.
+ *
+ * @param {Error} err - Error to classify
+ * @returns {string} One of {@link RETRY_CLASSES}
+ *
+ * @example
+ * classifyError({ code: '40P01' }); // 'safe'
+ * classifyError({ code: '23505' }); // 'none'
+ */
+function classifyError(err) {
+  const code = typeof err?.code === 'string' ? err.code : '';
+
+  if (SAFE_SQLSTATES.has(code) || SAFE_SOCKET_CODES.has(code) || code.startsWith('53')) {
+    return RETRY_CLASSES.SAFE;
+  }
+  if (IDEMPOTENT_SQLSTATES.has(code) || IDEMPOTENT_SOCKET_CODES.has(code) || code.startsWith('08')) {
+    return RETRY_CLASSES.IDEMPOTENT;
+  }
+  if (!code) {
+    const message = err?.message || '';
+    // pg-pool: the pool could not hand out a connection, nothing was sent
+    if (message.includes('timeout exceeded when trying to connect')) {
+      return RETRY_CLASSES.SAFE;
+    }
+    if (message.includes('Connection terminated')) {
+      return RETRY_CLASSES.IDEMPOTENT;
+    }
+  }
+  return RETRY_CLASSES.NONE;
+}
+
+/**
+ * Checks whether an error may be retried for a statement.
+ *
+ * @param {Error} err - Error to check
+ * @param {boolean} [idempotent=false] - Whether the statement is safe to run twice
+ * @returns {boolean} True when a retry is allowed
+ */
+function isRetryableError(err, idempotent = false) {
+  const retryClass = classifyError(err);
+  return retryClass === RETRY_CLASSES.SAFE || (idempotent && retryClass === RETRY_CLASSES.IDEMPOTENT);
+}
+
+/**
+ * Reads retry overrides from a node's editor config. Blank fields are
+ * left unset so the policy inherits them from the next layer.
+ *
+ * @param {object} config - Node configuration with retryMaxAttempts, retryBaseDelay, retryMaxDelay, retryJitter
+ * @returns {object} Partial retry policy
+ */
+function retryOptionsFromConfig(config = {}) {
+  return {
+    maxAttempts: config.retryMaxAttempts,
+    baseDelay: config.retryBaseDelay,
+    maxDelay: config.retryMaxDelay,
+    jitter: config.retryJitter,
+  };
+}
+
+/**
+ * Merges retry policy layers; later layers win and blank values are skipped.
+ * Typically called as config node policy, node overrides, `msg.retry`.
+ *
+ * @param {...object} layers - Partial policies
+ * @returns {{maxAttempts: number, baseDelay: number, maxDelay: number, jitter: number}} Complete policy
+ * @throws {Error} If a setting is invalid
+ *
+ * @example
+ * const policy = resolveRetryPolicy(pgConfig.retryPolicy, { maxAttempts: 5 }, msg.retry);
+ */
+function resolveRetryPolicy(...layers) {
+  const policy = { ...RETRY_DEFAULTS };
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') {
+      continue;
+    }
+    for (const key of Object.keys(POLICY_RULES)) {
+      const value = layer[key];
+      if (value == null || value === '') {
+        continue;
+      }
+      const number = Number(value);
+      if (!POLICY_RULES[key].valid(number)) {
+        throw new Error(`Invalid retry ${key} "${value}": ${POLICY_RULES[key].message}`);
+      }
+      policy[key] = number;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Computes the delay before a retry: exponential from `baseDelay`,
+ * randomized by ±`jitter` and capped at `maxDelay`.
+ *
+ * @param {object} policy - Resolved retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(policy, attempt, random = Math.random) {
+  const exponential = policy.baseDelay * Math.pow(2, attempt - 1);
+  const factor = 1 + policy.jitter * (random() * 2 - 1);
+  return Math.round(Math.min(policy.maxDelay, exponential * factor));
+}
+
+/**
+ * Runs a function, retrying retryable errors according to a policy.
+ *
+ * @template T
+ * @param {function(number): Promise<T>} fn - Work to run; receives the 1-based attempt number
+ * @param {object} [options] - Retry options
+ * @param {object} [options.policy] - Partial or resolved retry policy
+ * @param {boolean} [options.idempotent=false] - Also retry errors that may have left the statement applied
+ * @param {function(object): void} [options.onRetry] - Called with `{attempt, maxAttempts, delay, error}` before each retry
+ * @returns {Promise<T>} Result of `fn`
+ * @throws {Error} The last error once attempts are exhausted or a permanent error occurs
+ *
+ * @example
+ * const rows = await withRetry(() => pool.query(sql), { policy: { maxAttempts: 5 }, idempotent: true });
+ */
+async function withRetry(fn, { policy, idempotent = false, onRetry } = {}) {
+  const resolved = resolveRetryPolicy(policy);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= resolved.maxAttempts || !isRetryableError(err, idempotent)) {
+        throw err;
+      }
+      const delay = computeRetryDelay(resolved, attempt);
+      if (onRetry) {
+        onRetry({ attempt, maxAttempts: resolved.maxAttempts, delay, error: err });
+      }
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  classifyError,
+  isRetryableError,
+  resolveRetryPolicy,
+  retryOptionsFromConfig,
+  computeRetryDelay,
+  RETRY_DEFAULTS,
+  RETRY_CLASSES,
+};
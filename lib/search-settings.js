@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Per-query index tuning for similarity search.
+ * Turns search options (ef_search, probes, iterative scans) into pgvector
+ * settings, which the search node applies with SET LOCAL around its query.
+ * @module lib/search-settings
+ */
+
+'use strict';
+
+/**
+ * Iterative index scan modes (pgvector 0.8+).
+ * - off: stop after one index scan, so filtered searches may return fewer rows than the limit
+ * - strict_order: keep scanning until enough rows match, in exact distance order (HNSW only)
+ * - relaxed_order: keep scanning, allowing slightly out-of-order results (better recall and speed)
+ * @constant {Object<string, string>}
+ */
+const ITERATIVE_SCAN_MODES = Object.freeze({
+  OFF: 'off',
+  STRICT: 'strict_order',
+  RELAXED: 'relaxed_order',
+});
+
+/**
+ * Allowed ranges of the numeric search options, as enforced by pgvector.
+ * @constant {Object<string, {setting: string, min: number, max: number}>}
+ */
+const SEARCH_SETTING_LIMITS = Object.freeze({
+  efSearch: Object.freeze({ setting: 'hnsw.ef_search', min: 1, max: 1000 }),
+  probes: Object.freeze({ setting: 'ivfflat.probes', min: 1, max: 32768 }),
+  maxScanTuples: Object.freeze({ setting: 'hnsw.max_scan_tuples', min: 1, max: 2147483647 }),
+});
+
+/**
+ * Builds the pgvector settings for one search.
+ * Blank options are left at the connection's value.
+ *
+ * @param {object} [options] - Search options
+ * @param {number} [options.efSearch] - HNSW candidate list size (`hnsw.ef_search`), 1-1000
+ * @param {number} [options.probes] - IVFFlat lists to scan (`ivfflat.probes`)
+ * @param {string} [options.iterativeScan] - One of {@link ITERATIVE_SCAN_MODES}; sets `hnsw.iterative_scan`
+ *   and, except for strict_order which IVFFlat does not support, `ivfflat.iterative_scan`
+ * @param {number} [options.maxScanTuples] - Tuples an iterative HNSW scan may visit (`hnsw.max_scan_tuples`)
+ * @returns {Object<string, (string|number)>|null} Settings by name, or null when nothing is set
+ * @throws {Error} If an option is out of range or the iterative scan mode is unknown
+ *
+ * @example
+ * buildSearchSettings({ efSearch: 200, iterativeScan: 'relaxed_order' })
+ * // { 'hnsw.ef_search': 200, 'hnsw.iterative_scan': 'relaxed_order', 'ivfflat.iterative_scan': 'relaxed_order' }
+ */
+function buildSearchSettings(options = {}) {
+  const settings = {};
+
+  for (const [name, { setting, min, max }] of Object.entries(SEARCH_SETTING_LIMITS)) {
+    const value = options[name];
+    if (value == null || value === '') {
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Invalid ${name} "${value}": must be a whole number from ${min} to ${max}`);
+    }
+    settings[setting] = number;
+  }
+
+  const { iterativeScan } = options;
+  if (iterativeScan != null && iterativeScan !== '') {
+    if (!Object.values(ITERATIVE_SCAN_MODES).includes(iterativeScan)) {
+      throw new Error(`Invalid iterativeScan "${iterativeScan}": use ${Object.values(ITERATIVE_SCAN_MODES).join(', ')}`);
+    }
+    settings['hnsw.iterative_scan'] = iterativeScan;
+    if (iterativeScan !== ITERATIVE_SCAN_MODES.STRICT) {
+      settings['ivfflat.iterative_scan'] = iterativeScan;
+    }
+  }
+
+  return Object.keys(settings).length > 0 ? settings : null;
+}
+
+module.exports = {
+  buildSearchSettings,
+  ITERATIVE_SCAN_MODES,
+  SEARCH_SETTING_LIMITS,
+};
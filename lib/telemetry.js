@@ -15,6 +15,18 @@ let queryCounter;
 let queryDurationHistogram;
 let errorCounter;
 let poolMetrics;
+let circuitMetrics;
+let queueMetrics;
+
+/**
+ * Numeric encoding of circuit breaker states for the state gauge.
+ * @constant {Object<string, number>}
+ */
+const CIRCUIT_STATE_VALUES = Object.freeze({
+  closed: 0,
+  'half-open': 1,
+  open: 2,
+});
 
 /**
  * Initialize OpenTelemetry instrumentation.
@@ -111,6 +123,32 @@ function initializeTelemetry() {
       }),
     };
 
+    circuitMetrics = {
+      state: meter.createObservableGauge('pgvector.circuit.state', {
+        description: 'Circuit breaker state (0=closed, 1=half-open, 2=open)',
+        unit: '1',
+      }),
+      transitions: meter.createCounter('pgvector.circuit.transitions', {
+        description: 'Number of circuit breaker state changes',
+        unit: '1',
+      }),
+    };
+
+    queueMetrics = {
+      depth: meter.createObservableGauge('pgvector.queue.depth', {
+        description: 'Messages waiting for a concurrency slot on a node',
+        unit: '1',
+      }),
+      active: meter.createObservableGauge('pgvector.queue.active', {
+        description: 'Messages a node is currently processing',
+        unit: '1',
+      }),
+      overflows: meter.createCounter('pgvector.queue.overflows', {
+        description: 'Messages dropped or rejected by a full node queue',
+        unit: '1',
+      }),
+    };
+
     isEnabled = true;
 
     // Graceful shutdown
@@ -225,26 +263,101 @@ function recordError(operation, errorType) {
  * Updates gauges with current pool state.
  *
  * @param {object} pool - PostgreSQL pool instance
+ * @returns {function(): void} Removes the callbacks (call when the pool is closed)
  */
 function registerPoolMetrics(pool) {
-  if (!isEnabled || !poolMetrics || !pool) return;
+  if (!isEnabled || !poolMetrics || !pool) return () => {};
 
-  // Callback for observable gauges
-  const callback = (observableResult) => {
+  const observeTotal = (observableResult) => {
     observableResult.observe(pool.totalCount || 0);
   };
+  const observeIdle = (observableResult) => {
+    observableResult.observe(pool.idleCount || 0);
+  };
+  const observeWaiting = (observableResult) => {
+    observableResult.observe(pool.waitingCount || 0);
+  };
 
-  poolMetrics.totalConnections.addCallback((observableResult) => {
-    observableResult.observe(pool.totalCount || 0);
-  });
+  poolMetrics.totalConnections.addCallback(observeTotal);
+  poolMetrics.idleConnections.addCallback(observeIdle);
+  poolMetrics.waitingRequests.addCallback(observeWaiting);
 
-  poolMetrics.idleConnections.addCallback((observableResult) => {
-    observableResult.observe(pool.idleCount || 0);
-  });
+  return () => {
+    poolMetrics.totalConnections.removeCallback(observeTotal);
+    poolMetrics.idleConnections.removeCallback(observeIdle);
+    poolMetrics.waitingRequests.removeCallback(observeWaiting);
+  };
+}
 
-  poolMetrics.waitingRequests.addCallback((observableResult) => {
-    observableResult.observe(pool.waitingCount || 0);
-  });
+/**
+ * Register circuit breaker state gauge callback.
+ *
+ * @param {object} breaker - Breaker from lib/circuit-breaker
+ * @param {string} pool - Pool name (host:port) used as metric attribute
+ * @returns {function(): void} Removes the callback (call when the config node closes)
+ */
+function registerCircuitMetrics(breaker, pool) {
+  if (!isEnabled || !circuitMetrics || !breaker) return () => {};
+
+  const observeState = (observableResult) => {
+    observableResult.observe(CIRCUIT_STATE_VALUES[breaker.getState()] ?? 0, { pool });
+  };
+
+  circuitMetrics.state.addCallback(observeState);
+
+  return () => {
+    circuitMetrics.state.removeCallback(observeState);
+  };
+}
+
+/**
+ * Record a circuit breaker state change.
+ *
+ * @param {string} pool - Pool name (host:port)
+ * @param {string} state - New circuit state
+ */
+function recordCircuitTransition(pool, state) {
+  if (!isEnabled || !circuitMetrics) return;
+
+  circuitMetrics.transitions.add(1, { pool, state });
+}
+
+/**
+ * Register queue depth and active gauge callbacks for a node's limiter.
+ *
+ * @param {object} limiter - Limiter from lib/limiter
+ * @param {string} node - Node id used as metric attribute
+ * @returns {function(): void} Removes the callbacks (call when the node closes)
+ */
+function registerQueueMetrics(limiter, node) {
+  if (!isEnabled || !queueMetrics || !limiter) return () => {};
+
+  const observeDepth = (observableResult) => {
+    observableResult.observe(limiter.getQueued(), { node });
+  };
+  const observeActive = (observableResult) => {
+    observableResult.observe(limiter.getActive(), { node });
+  };
+
+  queueMetrics.depth.addCallback(observeDepth);
+  queueMetrics.active.addCallback(observeActive);
+
+  return () => {
+    queueMetrics.depth.removeCallback(observeDepth);
+    queueMetrics.active.removeCallback(observeActive);
+  };
+}
+
+/**
+ * Record a message dropped or rejected by a full node queue.
+ *
+ * @param {string} node - Node id
+ * @param {string} policy - Overflow policy that applied
+ */
+function recordQueueOverflow(node, policy) {
+  if (!isEnabled || !queueMetrics) return;
+
+  queueMetrics.overflows.add(1, { node, policy });
 }
 
 /**
@@ -276,6 +389,10 @@ module.exports = {
   recordQuery,
   recordError,
   registerPoolMetrics,
+  registerCircuitMetrics,
+  recordCircuitTransition,
+  registerQueueMetrics,
+  recordQueueOverflow,
   get isEnabled() {
     return isEnabled;
   },
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Result parsers for pgvector column types.
+ * Turns `vector`, `halfvec` and `sparsevec` values in result rows into numbers
+ * instead of text literals. pgvector types get their OIDs when the extension
+ * is created, so they are looked up on each new connection.
+ * @module lib/type-parsers
+ */
+
+'use strict';
+
+const pg = require('pg');
+const { parseSparseVector } = require('./vector-utils');
+
+/**
+ * How vector columns appear in result rows.
+ * - text: pgvector text literal, e.g. `'[0.1,0.2]'` (no parsing)
+ * - array: array of numbers
+ * - float32array: Float32Array
+ * - base64: base64 of little-endian float32 values, readable by parseVector
+ * Sparse vectors become `{indices, values, dim}` objects (0-based) in every format but text.
+ * @constant {Object<string, string>}
+ */
+const VECTOR_OUTPUT_FORMATS = Object.freeze({
+  TEXT: 'text',
+  ARRAY: 'array',
+  FLOAT32: 'float32array',
+  BASE64: 'base64',
+});
+
+/**
+ * Looks up the OIDs of the types owned by the pgvector extension, wherever it is installed.
+ * @constant {string}
+ */
+const VECTOR_TYPE_OIDS_SQL = `
+  SELECT t.oid::int AS oid, t.typname
+  FROM pg_type t
+  JOIN pg_depend d ON d.classid = 'pg_type'::regclass AND d.objid = t.oid AND d.deptype = 'e'
+  JOIN pg_extension e ON e.oid = d.refobjid
+  WHERE e.extname = 'vector' AND t.typname IN ('vector', 'halfvec', 'sparsevec')
+`;
+
+/**
+ * Parses the text form of a dense vector (`[1,2,3]`).
+ *
+ * @param {string} text - vector or halfvec text
+ * @returns {Array<number>} Values
+ */
+function parseDenseText(text) {
+  const inner = text.slice(1, -1);
+  return inner === '' ? [] : inner.split(',').map(Number);
+}
+
+/**
+ * Creates the parser for one pgvector type.
+ *
+ * @param {string} typname - vector, halfvec or sparsevec
+ * @param {string} format - One of {@link VECTOR_OUTPUT_FORMATS}
+ * @returns {function(string): *} Parser for the text form of the type
+ */
+function createVectorParser(typname, format) {
+  if (typname === 'sparsevec') {
+    return (text) => parseSparseVector(text);
+  }
+  switch (format) {
+    case VECTOR_OUTPUT_FORMATS.FLOAT32:
+      return (text) => Float32Array.from(parseDenseText(text));
+    case VECTOR_OUTPUT_FORMATS.BASE64:
+      return (text) => {
+        const floats = Float32Array.from(parseDenseText(text));
+        return Buffer.from(floats.buffer).toString('base64');
+      };
+    default:
+      return parseDenseText;
+  }
+}
+
+/**
+ * Creates per-pool type parsers for pgvector columns.
+ *
+ * Pass `types` to the pool and call `resolve` on each new connection. Until
+ * the OIDs are known, or when the extension is not installed, vector columns
+ * keep pg's default (text) parsing.
+ *
+ * @param {string} [format='array'] - One of {@link VECTOR_OUTPUT_FORMATS} except text
+ * @returns {{format: string, types: {getTypeParser: function(number, string=): function},
+ *   resolve: function(import('pg').ClientBase): Promise<void>, getOids: function(): Object<string, number>}} Type parsers
+ * @throws {Error} If the format is unknown
+ *
+ * @example
+ * const parsers = createVectorTypeParsers('float32array');
+ * const pool = new pg.Pool({ ...options, types: parsers.types });
+ * pool.on('connect', (client) => parsers.resolve(client));
+ */
+function createVectorTypeParsers(format = VECTOR_OUTPUT_FORMATS.ARRAY) {
+  if (!Object.values(VECTOR_OUTPUT_FORMATS).includes(format) || format === VECTOR_OUTPUT_FORMATS.TEXT) {
+    throw new Error(`Invalid vector output "${format}": use ${Object.values(VECTOR_OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  const parsers = new Map();
+  const oids = {};
+
+  return {
+    format,
+    types: {
+      getTypeParser(oid, mode = 'text') {
+        if (mode === 'text' && parsers.has(oid)) {
+          return parsers.get(oid);
+        }
+        return pg.types.getTypeParser(oid, mode);
+      },
+    },
+    async resolve(client) {
+      try {
+        const result = await client.query(VECTOR_TYPE_OIDS_SQL);
+        for (const { oid, typname } of result.rows) {
+          oids[typname] = oid;
+          parsers.set(oid, createVectorParser(typname, format));
+        }
+      } catch {
+        // Catalog not readable on this connection; vectors stay text
+      }
+    },
+    getOids: () => ({ ...oids }),
+  };
+}
+
+module.exports = {
+  createVectorTypeParsers,
+  createVectorParser,
+  VECTOR_OUTPUT_FORMATS,
+  VECTOR_TYPE_OIDS_SQL,
+};
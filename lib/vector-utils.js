@@ -8,6 +8,7 @@
 
 const { toSql } = require('pgvector');
 const format = require('pg-format');
+const { compileFilter, bindWhereParams } = require('./filter');
 
 /**
  * Mapping of distance metric names to pgvector operators.
@@ -18,6 +19,71 @@ const METRIC_OPERATORS = Object.freeze({
   l2: '<->',
   'inner-product': '<#>',
   ip: '<#>',
+  l1: '<+>',
+  hamming: '<~>',
+  jaccard: '<%>',
+});
+
+/**
+ * pgvector column types.
+ * - vector: single-precision floats
+ * - halfvec: half-precision floats; indexable up to 4,000 dimensions instead of 2,000
+ * - sparsevec: non-zero elements only, e.g. SPLADE output
+ * - bit: binary embeddings
+ * @constant {Object<string, string>}
+ */
+const VECTOR_TYPES = Object.freeze({
+  VECTOR: 'vector',
+  HALFVEC: 'halfvec',
+  SPARSEVEC: 'sparsevec',
+  BIT: 'bit',
+});
+
+/**
+ * Distance metrics available for each vector type.
+ * @constant {Object<string, string[]>}
+ */
+const TYPE_METRICS = Object.freeze({
+  [VECTOR_TYPES.VECTOR]: ['cosine', 'l2', 'inner-product', 'ip', 'l1'],
+  [VECTOR_TYPES.HALFVEC]: ['cosine', 'l2', 'inner-product', 'ip', 'l1'],
+  [VECTOR_TYPES.SPARSEVEC]: ['cosine', 'l2', 'inner-product', 'ip', 'l1'],
+  [VECTOR_TYPES.BIT]: ['hamming', 'jaccard'],
+});
+
+/**
+ * Metric used for each vector type when none is given.
+ * @constant {Object<string, string>}
+ */
+const DEFAULT_METRICS = Object.freeze({
+  [VECTOR_TYPES.VECTOR]: 'cosine',
+  [VECTOR_TYPES.HALFVEC]: 'cosine',
+  [VECTOR_TYPES.SPARSEVEC]: 'cosine',
+  [VECTOR_TYPES.BIT]: 'hamming',
+});
+
+/**
+ * Operator classes by index method, vector type and distance metric.
+ * sparsevec, L1 and Jaccard distance can only be indexed with HNSW.
+ * @constant {Object<string, Object<string, Object<string, string>>>}
+ */
+const INDEX_OPCLASSES = Object.freeze({
+  hnsw: {
+    vector: {
+      cosine: 'vector_cosine_ops', l2: 'vector_l2_ops', 'inner-product': 'vector_ip_ops', ip: 'vector_ip_ops', l1: 'vector_l1_ops',
+    },
+    halfvec: {
+      cosine: 'halfvec_cosine_ops', l2: 'halfvec_l2_ops', 'inner-product': 'halfvec_ip_ops', ip: 'halfvec_ip_ops', l1: 'halfvec_l1_ops',
+    },
+    sparsevec: {
+      cosine: 'sparsevec_cosine_ops', l2: 'sparsevec_l2_ops', 'inner-product': 'sparsevec_ip_ops', ip: 'sparsevec_ip_ops', l1: 'sparsevec_l1_ops',
+    },
+    bit: { hamming: 'bit_hamming_ops', jaccard: 'bit_jaccard_ops' },
+  },
+  ivfflat: {
+    vector: { cosine: 'vector_cosine_ops', l2: 'vector_l2_ops', 'inner-product': 'vector_ip_ops', ip: 'vector_ip_ops' },
+    halfvec: { cosine: 'halfvec_cosine_ops', l2: 'halfvec_l2_ops', 'inner-product': 'halfvec_ip_ops', ip: 'halfvec_ip_ops' },
+    bit: { hamming: 'bit_hamming_ops' },
+  },
 });
 
 /**
@@ -32,12 +98,48 @@ const MAX_LIMIT = 10000;
  */
 const DEFAULT_LIMIT = 10;
 
+/**
+ * How hybrid search combines the vector and full-text rankings.
+ * - rrf: reciprocal rank fusion, sum of 1 / (k + rank) over both rankings
+ * - weighted: vectorWeight * vector score + (1 - vectorWeight) * text rank scaled to 0..1
+ * @constant {Object<string, string>}
+ */
+const FUSION_METHODS = Object.freeze({
+  RRF: 'rrf',
+  WEIGHTED: 'weighted',
+});
+
+/**
+ * Default hybrid search settings. Each side contributes up to
+ * `max(4 * (limit + offset), minCandidates)` candidates unless `candidates` is set.
+ * @constant {object}
+ */
+const HYBRID_DEFAULTS = Object.freeze({
+  fusion: FUSION_METHODS.RRF,
+  rrfK: 60,
+  vectorWeight: 0.5,
+  textConfig: 'english',
+  textColumnType: 'text',
+  minCandidates: 40,
+});
+
 /**
  * Regular expression for detecting base64-encoded strings.
  * @constant {RegExp}
  */
 const BASE64_REGEX = /^[A-Za-z0-9+/=]+$/;
 
+/**
+ * Binary float encodings accepted for base64 strings and Buffers, with their
+ * size in bytes. Values are little-endian.
+ * @constant {Object<string, number>}
+ */
+const VECTOR_ENCODINGS = Object.freeze({
+  float16: 2,
+  float32: 4,
+  float64: 8,
+});
+
 /**
  * Escapes a SQL identifier to prevent SQL injection.
  * Uses pg-format which only adds quotes when necessary for safety.
@@ -101,78 +203,465 @@ function escapeSelectClause(selectClause) {
     .join(', ');
 }
 
+/**
+ * Converts an IEEE 754 half-precision value to a number.
+ *
+ * @param {number} half - 16-bit value
+ * @returns {number} Decoded number
+ */
+function float16ToNumber(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (fraction / 1024);
+  }
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Decodes little-endian binary floats.
+ *
+ * @param {Uint8Array} bytes - Raw bytes (a Buffer is a Uint8Array)
+ * @param {string} [encoding='float32'] - One of {@link VECTOR_ENCODINGS}
+ * @returns {Array<number>} Decoded values
+ * @throws {Error} If the encoding is unknown or the byte length does not fit it
+ */
+function decodeFloats(bytes, encoding = 'float32') {
+  const size = VECTOR_ENCODINGS[encoding];
+  if (!size) {
+    throw new Error(`Unsupported vector encoding "${encoding}": use ${Object.keys(VECTOR_ENCODINGS).join(', ')}`);
+  }
+  if (bytes.byteLength % size !== 0) {
+    throw new Error(`${bytes.byteLength} bytes is not a whole number of ${encoding} values (${size} bytes each)`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Array(bytes.byteLength / size);
+  for (let i = 0; i < values.length; i++) {
+    const offset = i * size;
+    if (size === 2) {
+      values[i] = float16ToNumber(view.getUint16(offset, true));
+    } else if (size === 4) {
+      values[i] = view.getFloat32(offset, true);
+    } else {
+      values[i] = view.getFloat64(offset, true);
+    }
+  }
+  return values;
+}
+
+/**
+ * Converts vector elements to numbers. In strict mode only finite numbers and
+ * numeric strings are accepted, and the first offending element is reported.
+ *
+ * @param {Array<*>} elements - Elements to convert
+ * @param {boolean} strict - Whether to reject non-finite elements
+ * @returns {Array<number>} Numbers
+ * @throws {Error} In strict mode, if an element is not a finite number
+ */
+function toNumbers(elements, strict) {
+  if (!strict) {
+    return elements.map(Number);
+  }
+  return elements.map((element, index) => {
+    let value = NaN;
+    if (typeof element === 'number') {
+      value = element;
+    } else if (typeof element === 'string' && element.trim() !== '') {
+      value = Number(element);
+    }
+    if (!Number.isFinite(value)) {
+      const shown = typeof element === 'string' ? JSON.stringify(element) : String(element);
+      throw new Error(`Invalid vector element at index ${index}: ${shown}`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Parses the comma-separated elements of a text vector.
+ *
+ * @param {string} text - Elements separated by commas
+ * @param {boolean} strict - Whether to reject non-numeric elements instead of dropping them
+ * @returns {Array<number>} Numbers
+ */
+function parseElementList(text, strict) {
+  const elements = text.trim() === '' ? [] : text.split(',');
+  return strict ? toNumbers(elements, true) : elements.map((v) => Number(v.trim())).filter(Number.isFinite);
+}
+
 /**
  * Parses various vector input formats into a number array.
- * Supports: arrays, JSON strings, CSV strings, and base64-encoded Float32Arrays.
+ * Supports:
+ * - arrays, Float32Array/Float64Array and other typed arrays
+ * - Buffers, Uint8Arrays and ArrayBuffers of binary floats (see `encoding`)
+ * - JSON and pgvector text literals (`[1,2,3]`, also `[.5,1.]`), Postgres array literals (`{1,2,3}`) and CSV
+ * - base64-encoded binary floats (see `encoding`)
+ * - embedding API responses: `{ embedding }` and `{ data: [{ embedding }] }` with a single entry
  *
- * @param {Array<number>|string|null} input - Vector in any supported format
+ * Non-strict parsing keeps the historical behaviour: non-numeric CSV entries are
+ * dropped and non-numeric array elements become NaN. Strict parsing rejects any
+ * element that is not a finite number.
+ *
+ * @param {*} input - Vector in any supported format
+ * @param {object} [options] - Options
+ * @param {boolean} [options.strict=false] - Reject NaN, Infinity and non-numeric elements, naming the index
+ * @param {string} [options.encoding='float32'] - Encoding of base64 and binary input, one of {@link VECTOR_ENCODINGS}
  * @returns {Array<number>|null} Parsed vector as number array, or null if input is null/undefined
- * @throws {Error} If input format is not recognized
+ * @throws {Error} If input format is not recognized, or in strict mode an element is invalid
  *
  * @example
- * parseVector([1, 2, 3])           // [1, 2, 3]
- * parseVector('[1, 2, 3]')         // [1, 2, 3]
- * parseVector('1, 2, 3')           // [1, 2, 3]
- * parseVector(base64String)        // [...floats]
+ * parseVector([1, 2, 3])                            // [1, 2, 3]
+ * parseVector('[1, 2, 3]')                          // [1, 2, 3]
+ * parseVector('1, 2, 3')                            // [1, 2, 3]
+ * parseVector(base64String)                         // [...floats]
+ * parseVector(base64String, { encoding: 'float16' }) // [...floats]
+ * parseVector({ data: [{ embedding: [0.1, 0.2] }] }) // [0.1, 0.2]
+ * parseVector('1, x, 3', { strict: true })          // throws 'Invalid vector element at index 1: " x"'
  */
-function parseVector(input) {
+function parseVector(input, { strict = false, encoding } = {}) {
   if (input == null) {
     return null;
   }
+  if (encoding != null && !VECTOR_ENCODINGS[encoding]) {
+    throw new Error(`Unsupported vector encoding "${encoding}": use ${Object.keys(VECTOR_ENCODINGS).join(', ')}`);
+  }
+  const options = { strict, encoding };
 
   // Fast path: already an array
   if (Array.isArray(input)) {
-    return input.map(Number);
+    return toNumbers(input, strict);
+  }
+
+  // Raw bytes are binary floats; other typed arrays already hold the values
+  if (input instanceof Uint8Array || input instanceof ArrayBuffer) {
+    const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : input;
+    return toNumbers(decodeFloats(bytes, encoding), strict);
+  }
+  if (ArrayBuffer.isView(input) && !(input instanceof DataView)) {
+    return toNumbers(Array.from(input), strict);
+  }
+
+  // Embedding API responses
+  if (typeof input === 'object') {
+    if (Array.isArray(input.data)) {
+      if (input.data.length !== 1) {
+        throw new Error(`Embedding response contains ${input.data.length} embeddings; pass one at a time`);
+      }
+      if (input.data[0]?.embedding == null) {
+        throw new Error('Embedding response entry has no embedding');
+      }
+      return parseVector(input.data[0].embedding, options);
+    }
+    if (input.embedding != null) {
+      return parseVector(input.embedding, options);
+    }
   }
 
   if (typeof input === 'string') {
     const trimmed = input.trim();
 
-    // Try JSON parsing first (common case)
-    if (trimmed.startsWith('[')) {
+    // JSON first (common case), then pgvector literals JSON rejects, e.g. [.5,1.]
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+      let parsed;
       try {
-        const parsed = JSON.parse(trimmed);
-        if (Array.isArray(parsed)) {
-          return parsed.map(Number);
-        }
+        parsed = JSON.parse(trimmed);
       } catch {
-        // Not valid JSON, continue to other formats
+        // Not valid JSON, parse as a pgvector text literal
       }
+      return Array.isArray(parsed) ? toNumbers(parsed, strict) : parseElementList(trimmed.slice(1, -1), strict);
+    }
+
+    // Postgres array literal, e.g. real[] text output
+    if (trimmed.startsWith('{') && trimmed.endsWith('}') && !trimmed.includes(':')) {
+      return parseElementList(trimmed.slice(1, -1), strict);
     }
 
     // CSV format
     if (trimmed.includes(',')) {
-      return trimmed
-        .split(',')
-        .map((v) => Number(v.trim()))
-        .filter(Number.isFinite);
+      return parseElementList(trimmed, strict);
     }
 
-    // Base64-encoded Float32Array
+    // Base64-encoded binary floats
     if (BASE64_REGEX.test(trimmed) && trimmed.length % 4 === 0 && trimmed.length > 0) {
-      const buf = Buffer.from(trimmed, 'base64');
-      if (buf.byteLength % 4 === 0) {
-        const arr = new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
-        return Array.from(arr);
-      }
+      return toNumbers(decodeFloats(Buffer.from(trimmed, 'base64'), encoding), strict);
     }
   }
 
   throw new Error('Unsupported vector format');
 }
 
+/**
+ * Validates a vector type name.
+ *
+ * @param {string} [type='vector'] - Vector type
+ * @returns {string} The type, one of {@link VECTOR_TYPES}
+ * @throws {Error} If the type is not a pgvector type
+ */
+function resolveVectorType(type) {
+  if (type == null || type === '') {
+    return VECTOR_TYPES.VECTOR;
+  }
+  if (!TYPE_METRICS[type]) {
+    throw new Error(`Unsupported vector type "${type}": use ${Object.values(VECTOR_TYPES).join(', ')}`);
+  }
+  return type;
+}
+
+/**
+ * Resolves the metric to use for a vector type.
+ * A blank metric uses the type's default metric.
+ *
+ * @param {string} type - Vector type
+ * @param {string} [metric] - Distance metric
+ * @returns {string} Metric name
+ * @throws {Error} If the metric is unknown or does not apply to the type (e.g. cosine on bit)
+ */
+function resolveMetric(type, metric) {
+  const resolvedType = resolveVectorType(type);
+  const resolvedMetric = metric == null || metric === '' ? DEFAULT_METRICS[resolvedType] : metric;
+  if (!Object.prototype.hasOwnProperty.call(METRIC_OPERATORS, resolvedMetric)) {
+    throw new Error(`Unknown metric "${resolvedMetric}": use ${Object.keys(METRIC_OPERATORS).join(', ')}`);
+  }
+  if (!TYPE_METRICS[resolvedType].includes(resolvedMetric)) {
+    throw new Error(`Metric "${resolvedMetric}" is not supported for ${resolvedType} columns; use ${TYPE_METRICS[resolvedType].join(', ')}`);
+  }
+  return resolvedMetric;
+}
+
+/**
+ * Resolves the distance operator for a metric on a vector type.
+ *
+ * @param {string} type - Vector type
+ * @param {string} [metric] - Distance metric, see {@link resolveMetric}
+ * @returns {string} pgvector operator
+ * @throws {Error} If the metric is unknown or does not apply to the type
+ */
+function resolveMetricOperator(type, metric) {
+  return METRIC_OPERATORS[resolveMetric(type, metric)];
+}
+
+/**
+ * Resolves the operator class for an index. A blank metric uses the
+ * type's default metric (cosine, or hamming for bit).
+ *
+ * @param {string} method - Index method (hnsw or ivfflat)
+ * @param {string} type - Vector type
+ * @param {string} [metric] - Distance metric
+ * @returns {string} Operator class
+ * @throws {Error} If the metric is unknown, or the method cannot index the type or metric
+ */
+function resolveOpclass(method, type, metric) {
+  const vectorType = resolveVectorType(type);
+  // Rejects unknown metrics and metrics the type has no operator for
+  resolveMetricOperator(vectorType, metric);
+  const opclasses = INDEX_OPCLASSES[method][vectorType];
+  if (!opclasses) {
+    throw new Error(`${method} indexes do not support ${vectorType} columns; use create-hnsw`);
+  }
+  const resolvedMetric = metric || DEFAULT_METRICS[vectorType];
+  if (!opclasses[resolvedMetric]) {
+    throw new Error(`${method} indexes on ${vectorType} columns do not support the ${resolvedMetric} metric; ` +
+      `use ${Object.keys(opclasses).join(', ')}`);
+  }
+  return opclasses[resolvedMetric];
+}
+
+/**
+ * Builds the SQL expression turning a distance into a score where higher
+ * is more similar:
+ * - cosine, jaccard: 1 - distance (1 for identical vectors)
+ * - inner-product: the inner product (pgvector's `<#>` returns it negated)
+ * - l2, l1: 1 / (1 + distance), in (0, 1]
+ * - hamming: 1 - distance / dimension, the fraction of matching bits
+ *
+ * @param {string} metric - Resolved metric name
+ * @param {string} distance - SQL expression for the distance
+ * @param {number|string} [dimension] - Query vector dimension, or an SQL expression for it (used by hamming)
+ * @returns {string} SQL expression
+ */
+function scoreExpression(metric, distance, dimension) {
+  switch (metric) {
+    case 'cosine':
+    case 'jaccard':
+      return `1 - (${distance})`;
+    case 'inner-product':
+    case 'ip':
+      return `(${distance}) * -1`;
+    case 'hamming':
+      return `1 - (${distance}) / ${typeof dimension === 'string' ? dimension : Number(dimension) || 1}`;
+    default:
+      return `1 / (1 + (${distance}))`;
+  }
+}
+
+/**
+ * Parses a sparse vector into 0-based indices, values and a dimension.
+ * Supports: `{indices, values, dim}` objects, pgvector text (`{1:0.5,3:0.2}/5`,
+ * 1-based) and dense vectors in any {@link parseVector} format. Zero values
+ * are dropped and indices are sorted.
+ *
+ * @param {object|Array<number>|string|null} input - Sparse vector
+ * @param {object} [options] - {@link parseVector} options for dense input
+ * @returns {{indices: number[], values: number[], dim: number}|null} Sparse vector, or null for null/undefined
+ * @throws {Error} If the input is malformed
+ *
+ * @example
+ * parseSparseVector({ indices: [2, 0], values: [0.2, 0.5], dim: 5 })  // { indices: [0, 2], values: [0.5, 0.2], dim: 5 }
+ * parseSparseVector('{1:0.5,3:0.2}/5')                               // { indices: [0, 2], values: [0.5, 0.2], dim: 5 }
+ * parseSparseVector([0.5, 0, 0.2])                                    // { indices: [0, 2], values: [0.5, 0.2], dim: 3 }
+ */
+function parseSparseVector(input, options) {
+  if (input == null) {
+    return null;
+  }
+
+  let indices;
+  let values;
+  let dim;
+
+  const text = typeof input === 'string' ? input.trim().match(/^\{(.*)\}\/(\d+)$/) : null;
+  if (text) {
+    indices = [];
+    values = [];
+    for (const element of text[1].split(',').filter((e) => e.trim() !== '')) {
+      const [index, value] = element.split(':');
+      indices.push(Number(index) - 1);
+      values.push(Number(value));
+    }
+    dim = Number(text[2]);
+  } else if (typeof input === 'object' && !Array.isArray(input) && !ArrayBuffer.isView(input) &&
+    (input.indices != null || input.values != null)) {
+    if (!Array.isArray(input.indices) || !Array.isArray(input.values)) {
+      throw new Error('Sparse vector requires indices and values arrays');
+    }
+    indices = input.indices.map(Number);
+    values = input.values.map(Number);
+    dim = Number(input.dim);
+  } else {
+    const dense = parseVector(input, options);
+    indices = [];
+    values = [];
+    dense.forEach((value, index) => {
+      indices.push(index);
+      values.push(value);
+    });
+    dim = dense.length;
+  }
+
+  if (indices.length !== values.length) {
+    throw new Error(`Sparse vector has ${indices.length} indices but ${values.length} values`);
+  }
+  if (!Number.isInteger(dim) || dim < 1) {
+    throw new Error('Sparse vector requires a positive dim');
+  }
+
+  const elements = indices
+    .map((index, i) => [index, values[i]])
+    .filter(([, value]) => value !== 0)
+    .sort((a, b) => a[0] - b[0]);
+  for (let i = 0; i < elements.length; i++) {
+    const [index, value] = elements[i];
+    if (!Number.isInteger(index) || index < 0 || index >= dim) {
+      throw new Error(`Sparse vector index ${index} is out of range for dim ${dim}`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`Sparse vector value at index ${index} is not a finite number`);
+    }
+    if (i > 0 && elements[i - 1][0] === index) {
+      throw new Error(`Sparse vector index ${index} appears more than once`);
+    }
+  }
+
+  return {
+    indices: elements.map(([index]) => index),
+    values: elements.map(([, value]) => value),
+    dim,
+  };
+}
+
+/**
+ * Parses a binary vector into a bit string.
+ * Supports: bit strings (`'1010'`), arrays of 0/1 or booleans, and Buffers
+ * (8 bits per byte, most significant bit first).
+ *
+ * @param {string|Array<number|boolean>|Buffer|null} input - Binary vector
+ * @returns {string|null} String of `0` and `1`, or null for null/undefined
+ * @throws {Error} If the input is not binary
+ *
+ * @example
+ * parseBitVector([1, 0, true, false])     // '1010'
+ * parseBitVector(Buffer.from([0xf0]))     // '11110000'
+ */
+function parseBitVector(input) {
+  if (input == null) {
+    return null;
+  }
+
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    if (/^[01]+$/.test(trimmed)) {
+      return trimmed;
+    }
+  } else if (Buffer.isBuffer(input) || input instanceof Uint8Array) {
+    return Array.from(input, (byte) => byte.toString(2).padStart(8, '0')).join('');
+  } else if (Array.isArray(input) && input.length > 0) {
+    return input.map((bit) => {
+      if (bit === 1 || bit === true || bit === '1') {
+        return '1';
+      }
+      if (bit === 0 || bit === false || bit === '0') {
+        return '0';
+      }
+      throw new Error(`Bit vector elements must be 0, 1 or booleans, got ${JSON.stringify(bit)}`);
+    }).join('');
+  }
+
+  throw new Error('Unsupported bit vector format');
+}
+
+/**
+ * Parses a vector for a column type: dense for vector and halfvec,
+ * see {@link parseSparseVector} and {@link parseBitVector} for the others.
+ *
+ * @param {*} input - Vector in any format supported by the type
+ * @param {string} [type='vector'] - Vector type
+ * @param {object} [options] - {@link parseVector} options (strict, encoding); not used for bit
+ * @returns {Array<number>|object|string|null} Parsed vector
+ * @throws {Error} If the input or type is not supported
+ */
+function parseTypedVector(input, type, options) {
+  switch (resolveVectorType(type)) {
+    case VECTOR_TYPES.SPARSEVEC:
+      return parseSparseVector(input, options);
+    case VECTOR_TYPES.BIT:
+      return parseBitVector(input);
+    default:
+      return parseVector(input, options);
+  }
+}
+
 /**
  * Normalizes a vector to unit length (L2 normalization).
- * Returns the original vector if it's empty, not an array, or has zero magnitude.
+ * Sparse vectors keep their indices; bit vectors and other non-arrays,
+ * empty vectors and zero vectors are returned unchanged.
  *
- * @param {Array<number>} vec - Vector to normalize
- * @returns {Array<number>} Normalized vector with unit length
+ * @param {Array<number>|object} vec - Vector to normalize
+ * @returns {Array<number>|object} Normalized vector with unit length
  *
  * @example
  * normalizeVector([3, 4])  // [0.6, 0.8]
  * normalizeVector([0, 0])  // [0, 0]
  */
 function normalizeVector(vec) {
+  // Sparse vectors: normalize the non-zero values
+  if (vec && Array.isArray(vec.values) && Array.isArray(vec.indices)) {
+    return { ...vec, values: normalizeVector(vec.values) };
+  }
   if (!Array.isArray(vec) || vec.length === 0) {
     return vec;
   }
@@ -196,13 +685,33 @@ function normalizeVector(vec) {
   return result;
 }
 
+/**
+ * Returns the dimension of a parsed vector of any type.
+ *
+ * @param {Array<number>|object|string} vec - Dense array, sparse vector or bit string
+ * @returns {number|undefined} Dimension, or undefined if the value is not a parsed vector
+ */
+function vectorDimension(vec) {
+  if (Array.isArray(vec)) {
+    return vec.length;
+  }
+  if (typeof vec === 'string' && /^[01]+$/.test(vec)) {
+    return vec.length;
+  }
+  if (vec && Array.isArray(vec.indices) && Number.isInteger(vec.dim)) {
+    return vec.dim;
+  }
+  return undefined;
+}
+
 /**
  * Validates that a vector has the expected dimension.
+ * Sparse vectors are checked by `dim` and bit strings by length.
  *
- * @param {Array<number>} vec - Vector to validate
+ * @param {Array<number>|object|string} vec - Vector to validate
  * @param {number} [expected] - Expected dimension (skip validation if falsy)
- * @returns {Array<number>} The input vector if valid
- * @throws {Error} If vector is not an array or dimension doesn't match
+ * @returns {Array<number>|object|string} The input vector if valid
+ * @throws {Error} If vector is not a parsed vector or dimension doesn't match
  *
  * @example
  * validateDimension([1, 2, 3], 3)  // [1, 2, 3]
@@ -212,23 +721,182 @@ function validateDimension(vec, expected) {
   if (!expected) {
     return vec;
   }
-  if (!Array.isArray(vec)) {
+  const dimension = vectorDimension(vec);
+  if (dimension === undefined) {
     throw new Error('Vector is not an array');
   }
-  if (vec.length !== expected) {
-    throw new Error(`Vector dimension ${vec.length} does not match expected ${expected}`);
+  if (dimension !== expected) {
+    throw new Error(`Vector dimension ${dimension} does not match expected ${expected}`);
   }
   return vec;
 }
 
 /**
- * Converts a JavaScript array to a pgvector SQL literal.
+ * Converts a parsed vector to a pgvector SQL literal.
  *
- * @param {Array<number>} vec - Vector array
+ * @param {Array<number>|object|string} vec - Dense array, sparse vector or bit string
+ * @param {string} [type='vector'] - Vector type of the target column
  * @returns {string} pgvector SQL literal string
+ *
+ * @example
+ * vectorLiteral([1, 2, 3])                                              // '[1,2,3]'
+ * vectorLiteral({ indices: [0, 2], values: [1, 3], dim: 5 }, 'sparsevec') // '{1:1,3:3}/5'
+ * vectorLiteral('1010', 'bit')                                          // '1010'
  */
-function vectorLiteral(vec) {
-  return toSql(vec);
+function vectorLiteral(vec, type) {
+  switch (resolveVectorType(type)) {
+    case VECTOR_TYPES.SPARSEVEC: {
+      // Text format uses 1-based indices
+      const sparse = Array.isArray(vec) ? parseSparseVector(vec) : vec;
+      const elements = sparse.indices.map((index, i) => `${index + 1}:${sparse.values[i]}`);
+      return `{${elements.join(',')}}/${sparse.dim}`;
+    }
+    case VECTOR_TYPES.BIT:
+      return parseBitVector(vec);
+    default:
+      return toSql(vec);
+  }
+}
+
+/**
+ * Encodes the position after a result row as an opaque cursor.
+ *
+ * @param {{distance: number, id: *}} position - Distance and id of the last row of a page
+ * @returns {string} base64url cursor
+ */
+function encodeCursor({ distance, id }) {
+  return Buffer.from(JSON.stringify({ distance, id })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor from {@link encodeCursor}. A `{distance, id}` object is
+ * accepted as well.
+ *
+ * @param {string|object} cursor - Cursor
+ * @returns {{distance: number, id: *}} Position to continue after
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  let position = cursor;
+  if (typeof cursor === 'string') {
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      position = null;
+    }
+  }
+  if (!position || typeof position !== 'object' || !Number.isFinite(position.distance) || position.id == null) {
+    throw new Error('Invalid cursor: pass nextCursor from a previous search unchanged');
+  }
+  return { distance: position.distance, id: position.id };
+}
+
+/**
+ * Builds what every search query shares: escaped identifiers, the distance and
+ * score expressions, the WHERE conditions from the filter and raw WHERE SQL,
+ * and the relevance threshold conditions, with their parameters (the query
+ * vector is `$1`).
+ *
+ * @param {object} options - Options of {@link buildSimilarityQuery}
+ * @param {{literal: *, expression: string, dimension?: string}} [source] - Bind `literal` as `$1` and compare
+ *   the column with `expression` instead of the single query vector (used by batch and reference search);
+ *   `dimension` is an SQL expression for the query dimension when there is no vector
+ * @returns {{safeTable: string, safeColumn: string, safeIdColumn: string, safeSelect: string,
+ *   distance: string, score: string, params: Array, whereParts: string[], thresholdParts: string[]}} Query parts
+ * @throws {Error} See {@link buildSimilarityQuery}
+ */
+function buildSearchBase({
+  table,
+  column,
+  vector,
+  type = VECTOR_TYPES.VECTOR,
+  metric,
+  filter,
+  idColumn = 'id',
+  select = '*',
+  whereSql,
+  whereParams,
+  minScore,
+  maxDistance,
+}, source) {
+  if (!table || !column) {
+    throw new Error('table and column are required');
+  }
+
+  // Escape identifiers
+  const safeTable = escapeIdentifier(table);
+  const safeColumn = escapeIdentifier(column);
+  const safeIdColumn = escapeIdentifier(idColumn);
+  const safeSelect = escapeSelectClause(select);
+
+  // Get operator for metric; the cast picks the operator for the column type.
+  // bit is left uncast because ::bit means bit(1) and would truncate the literal.
+  const vectorType = resolveVectorType(type);
+  const resolvedMetric = resolveMetric(vectorType, metric);
+  const vectorParam = source ? source.expression : (vectorType === VECTOR_TYPES.BIT ? '$1' : `$1::${vectorType}`);
+  const distance = `${safeColumn} ${METRIC_OPERATORS[resolvedMetric]} ${vectorParam}`;
+  const score = scoreExpression(resolvedMetric, distance, source?.dimension ?? vectorDimension(vector));
+
+  // Build parameters array and WHERE clause
+  const params = [source ? source.literal : vectorLiteral(vector, vectorType)];
+  const whereParts = [];
+
+  // Add filter conditions with escaped identifiers and parameterized values
+  const filterSql = compileFilter(filter, params);
+  if (filterSql) {
+    whereParts.push(filterSql);
+  }
+
+  // Add custom WHERE SQL, binding its placeholders after the vector and filter params
+  if (whereSql) {
+    whereParts.push(`(${bindWhereParams(whereSql, whereParams, params)})`);
+  }
+
+  // Enforce relevance thresholds in SQL so irrelevant rows never leave the database
+  const thresholdParts = [];
+  for (const [name, value, condition] of [
+    ['maxDistance', maxDistance, (param) => `(${distance}) <= ${param}`],
+    ['minScore', minScore, (param) => `(${score}) >= ${param}`],
+  ]) {
+    if (value == null || value === '') {
+      continue;
+    }
+    if (!Number.isFinite(Number(value))) {
+      throw new Error(`Invalid ${name} "${value}": must be a number`);
+    }
+    params.push(Number(value));
+    thresholdParts.push(condition(`$${params.length}`));
+  }
+
+  return { safeTable, safeColumn, safeIdColumn, safeSelect, distance, score, params, whereParts, thresholdParts };
+}
+
+/**
+ * Clamps a result limit to 1..{@link MAX_LIMIT}, defaulting to {@link DEFAULT_LIMIT}.
+ *
+ * @param {*} limit - Requested limit
+ * @returns {number} Safe limit
+ */
+function sanitizeLimit(limit) {
+  return Math.max(1, Math.min(Number(limit) || DEFAULT_LIMIT, MAX_LIMIT));
+}
+
+/**
+ * Builds the OFFSET clause for offset pagination.
+ *
+ * @param {*} offset - Rows to skip; blank or 0 for none
+ * @returns {string} ` OFFSET n`, or an empty string
+ * @throws {Error} If the offset is not a non-negative whole number
+ */
+function offsetClause(offset) {
+  if (offset == null || offset === '') {
+    return '';
+  }
+  const safeOffset = Number(offset);
+  if (!Number.isInteger(safeOffset) || safeOffset < 0) {
+    throw new Error(`Invalid offset "${offset}": must be 0 or a positive whole number`);
+  }
+  return safeOffset > 0 ? ` OFFSET ${safeOffset}` : '';
 }
 
 /**
@@ -237,15 +905,30 @@ function vectorLiteral(vec) {
  * @param {object} options - Query options
  * @param {string} options.table - Table name
  * @param {string} options.column - Vector column name
- * @param {Array<number>} options.vector - Query vector
- * @param {string} [options.metric='cosine'] - Distance metric (cosine, l2, inner-product, ip)
+ * @param {Array<number>|object|string} options.vector - Query vector, parsed for `type`
+ * @param {string} [options.type='vector'] - Column type (vector, halfvec, sparsevec, bit)
+ * @param {string} [options.metric] - Distance metric (cosine, l2, inner-product, ip, l1; hamming, jaccard for bit).
+ *   Defaults to cosine, or hamming for bit
  * @param {number} [options.limit=10] - Maximum results (capped at 10000)
- * @param {Object<string, *>} [options.filter] - Key-value filters for WHERE clause
+ * @param {object} [options.filter] - Filter for the WHERE clause: `{column: value}` equality or the
+ *   operators in {@link module:lib/filter.compileFilter}, including JSONB paths like `metadata.author`
  * @param {string} [options.idColumn='id'] - ID column name
  * @param {string} [options.select='*'] - Columns to select
  * @param {string} [options.whereSql] - Additional raw WHERE clause
- * @returns {{sql: string, params: Array}} Query object with SQL and parameters
- * @throws {Error} If table or column is missing
+ * @param {Array|Object<string, *>} [options.whereParams] - Values for `$1`/`:name` placeholders in `whereSql`,
+ *   see {@link module:lib/filter.bindWhereParams}
+ * @param {number} [options.minScore] - Only return rows with at least this score, see {@link scoreExpression}
+ * @param {number} [options.maxDistance] - Only return rows within this distance
+ * @param {number} [options.offset=0] - Rows to skip (offset pagination)
+ * @param {string|object} [options.cursor] - Continue after this position (cursor pagination), see {@link decodeCursor}
+ * @param {boolean} [options.stableOrder=false] - Break distance ties by `idColumn` so pages never overlap;
+ *   always on with a cursor. The index-ordered page is fetched by distance alone and sorted by id afterwards,
+ *   so `idColumn` must be unique; it is added to `select` when missing
+ * @param {string} [options.vectorAlias] - Also return each row's vector as text in this column (e.g. for reranking)
+ * @returns {{sql: string, params: Array, limit: number}} Query object with SQL, parameters and the applied limit.
+ *   Rows get `distance`, `score` and `similarity` (deprecated alias of `distance`) columns
+ * @throws {Error} If table or column is missing, the metric is unknown or does not apply to the type,
+ *   a threshold or the offset is invalid, the cursor is malformed, or the filter is invalid
  *
  * @example
  * const { sql, params } = buildSimilarityQuery({
@@ -257,69 +940,398 @@ function vectorLiteral(vec) {
  *   filter: { category: 'tech' }
  * });
  */
-function buildSimilarityQuery({
-  table,
-  column,
-  vector,
-  metric = 'cosine',
-  limit = DEFAULT_LIMIT,
-  filter,
-  idColumn = 'id',
-  select = '*',
-  whereSql,
-}) {
-  if (!table || !column) {
-    throw new Error('table and column are required');
+function buildSimilarityQuery(options) {
+  const { limit = DEFAULT_LIMIT, offset, cursor, stableOrder = false, vectorAlias } = options;
+  const search = buildSearchBase(options);
+  const { safeTable, safeColumn, safeIdColumn, distance, score, params } = search;
+  const whereParts = [...search.whereParts, ...search.thresholdParts];
+  let { safeSelect } = search;
+
+  // Cursor pages continue after (distance, id), so ties need a deterministic order
+  const position = cursor != null && cursor !== '' ? decodeCursor(cursor) : null;
+  const tiebreak = stableOrder || position != null;
+  if (tiebreak && safeSelect !== '*' && !safeSelect.split(', ').includes(safeIdColumn)) {
+    safeSelect = `${safeSelect}, ${safeIdColumn}`;
   }
 
-  // Escape identifiers
-  const safeTable = escapeIdentifier(table);
-  const safeColumn = escapeIdentifier(column);
-  const safeSelect = escapeSelectClause(select);
+  if (position) {
+    params.push(position.distance, position.id);
+    const distanceParam = `$${params.length - 1}::float8`;
+    whereParts.push(`((${distance}) > ${distanceParam} OR ((${distance}) = ${distanceParam} AND ${safeIdColumn} > $${params.length}))`);
+  }
 
-  // Get operator for metric
-  const op = METRIC_OPERATORS[metric] || METRIC_OPERATORS.cosine;
+  const whereClause = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
 
-  // Build parameters array and WHERE clause
-  const params = [vectorLiteral(vector)];
-  const whereParts = [];
+  // Sanitize limit and offset
+  const safeLimit = sanitizeLimit(limit);
+  if (vectorAlias) {
+    safeSelect = `${safeSelect}, ${safeColumn}::text AS ${escapeIdentifier(vectorAlias)}`;
+  }
+
+  // Order by the expression, not the alias, which a table column named distance would make ambiguous.
+  // Vector indexes only serve a plain distance order, so the id tie-break is applied to the
+  // index-ordered page afterwards, and the rows are read by id
+  const sql = tiebreak
+    ? `SELECT r.*, h.distance, h.score, h.distance AS similarity FROM (SELECT ${safeIdColumn} AS match_id, ` +
+      `${distance} AS distance, ${score} AS score FROM ${safeTable} ${whereClause} ` +
+      `ORDER BY ${distance} ASC LIMIT ${safeLimit}${offsetClause(offset)}) h ` +
+      `CROSS JOIN LATERAL (SELECT ${safeSelect} FROM ${safeTable} WHERE ${safeIdColumn} = h.match_id) r ` +
+      'ORDER BY h.distance ASC, h.match_id ASC'
+    : `SELECT ${safeSelect}, ${distance} AS distance, ${score} AS score, ${distance} AS similarity ` +
+      `FROM ${safeTable} ${whereClause} ORDER BY ${distance} ASC LIMIT ${safeLimit}${offsetClause(offset)}`;
+
+  return { sql, params, limit: safeLimit };
+}
+
+/**
+ * Builds a parameterized hybrid search query: a vector similarity query and a
+ * PostgreSQL full-text query run as two candidate lists in one statement, and
+ * their rankings are fused (see {@link FUSION_METHODS}).
+ *
+ * The filter, WHERE SQL and thresholds apply to both lists; thresholds compare
+ * the vector distance and score, so every fused row is within them. Rows are
+ * joined by `idColumn`, which must be unique.
+ *
+ * @param {object} options - Options of {@link buildSimilarityQuery} (except cursor and stableOrder), plus:
+ * @param {string} options.text - Full-text query in `websearch_to_tsquery` syntax (quotes, OR, -exclusions)
+ * @param {string} options.textColumn - Text column, or a stored tsvector column
+ * @param {string} [options.textColumnType='text'] - `text` (wrapped in to_tsvector) or `tsvector`
+ * @param {string} [options.textConfig='english'] - Text search configuration
+ * @param {string} [options.fusion='rrf'] - Fusion method, one of {@link FUSION_METHODS}
+ * @param {number} [options.rrfK=60] - RRF constant; higher values flatten the rank contributions
+ * @param {number} [options.vectorWeight=0.5] - Weight (0-1) of the vector score for weighted fusion
+ * @param {number} [options.candidates] - Candidates taken from each list
+ * @returns {{sql: string, params: Array, limit: number}} Query object. Rows get `distance`, `text_score`
+ *   (ts_rank_cd), `vector_rank`, `text_rank` (1-based, NULL when the row is not in that list) and the fused `score`
+ * @throws {Error} If an option is invalid, or see {@link buildSimilarityQuery}
+ *
+ * @example
+ * const { sql, params } = buildHybridQuery({
+ *   table: 'products',
+ *   column: 'embedding',
+ *   vector: queryEmbedding,
+ *   text: 'SKU-1042 wireless',
+ *   textColumn: 'description',
+ *   limit: 10
+ * });
+ */
+function buildHybridQuery(options) {
+  const {
+    limit = DEFAULT_LIMIT,
+    offset,
+    text,
+    textColumn,
+    textColumnType = HYBRID_DEFAULTS.textColumnType,
+    textConfig = HYBRID_DEFAULTS.textConfig,
+    fusion = HYBRID_DEFAULTS.fusion,
+    rrfK = HYBRID_DEFAULTS.rrfK,
+    vectorWeight = HYBRID_DEFAULTS.vectorWeight,
+    candidates,
+  } = options;
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Hybrid search requires query text');
+  }
+  if (!textColumn) {
+    throw new Error('Hybrid search requires a text column');
+  }
+  if (textColumnType !== 'text' && textColumnType !== 'tsvector') {
+    throw new Error(`Invalid text column type "${textColumnType}": use text, tsvector`);
+  }
+  if (!Object.values(FUSION_METHODS).includes(fusion)) {
+    throw new Error(`Invalid fusion "${fusion}": use ${Object.values(FUSION_METHODS).join(', ')}`);
+  }
+  const k = Number(rrfK);
+  if (!Number.isFinite(k) || k <= 0) {
+    throw new Error(`Invalid rrfK "${rrfK}": must be a positive number`);
+  }
+  const weight = Number(vectorWeight);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+    throw new Error(`Invalid vectorWeight "${vectorWeight}": must be between 0 and 1`);
+  }
+
+  const {
+    safeTable, safeIdColumn, safeSelect, distance, score, params, whereParts, thresholdParts,
+  } = buildSearchBase(options);
+  const safeLimit = sanitizeLimit(limit);
+  const pageOffset = offsetClause(offset);
+  const depth = safeLimit + (Number(offset) || 0);
+  const candidateLimit = candidates != null && candidates !== ''
+    ? sanitizeLimit(candidates)
+    : Math.min(MAX_LIMIT, Math.max(depth * 4, HYBRID_DEFAULTS.minCandidates));
+
+  // The configuration is a literal (not a parameter) so expression indexes on to_tsvector('english', col) apply
+  const safeTextColumn = escapeIdentifier(textColumn);
+  const safeConfig = `${format.literal(textConfig)}::regconfig`;
+  const document = textColumnType === 'tsvector' ? safeTextColumn : `to_tsvector(${safeConfig}, ${safeTextColumn})`;
+  params.push(text);
+  const textQuery = `websearch_to_tsquery(${safeConfig}, $${params.length})`;
+
+  // Thresholds restrict text candidates too, so a text-only match cannot bypass them
+  const vectorParts = [...whereParts, ...thresholdParts];
+  const vectorWhere = vectorParts.length > 0 ? ` WHERE ${vectorParts.join(' AND ')}` : '';
+  const textWhere = `WHERE ${[...vectorParts, `${document} @@ search_query`].join(' AND ')}`;
+
+  const fused = fusion === FUSION_METHODS.RRF
+    ? `COALESCE(1.0 / (${k} + v.vector_rank), 0) + COALESCE(1.0 / (${k} + x.text_rank), 0)`
+    : `${weight} * COALESCE(v.vector_score, 0) + ` +
+      `(1 - ${weight}) * COALESCE(x.text_score / NULLIF(MAX(x.text_score) OVER (), 0), 0)`;
+
+  const sql = 'WITH vector_hits AS (' +
+      'SELECT match_id, distance, vector_score, ROW_NUMBER() OVER (ORDER BY distance, match_id) AS vector_rank ' +
+      `FROM (SELECT ${safeIdColumn} AS match_id, ${distance} AS distance, ${score} AS vector_score ` +
+      `FROM ${safeTable}${vectorWhere} ORDER BY ${distance} LIMIT ${candidateLimit}) v` +
+    '), text_hits AS (' +
+      'SELECT match_id, text_score, ROW_NUMBER() OVER (ORDER BY text_score DESC, match_id) AS text_rank ' +
+      `FROM (SELECT ${safeIdColumn} AS match_id, ts_rank_cd(${document}, search_query) AS text_score ` +
+      `FROM ${safeTable}, ${textQuery} AS search_query ${textWhere} ` +
+      `ORDER BY text_score DESC LIMIT ${candidateLimit}) x` +
+    '), fused AS (' +
+      'SELECT COALESCE(v.match_id, x.match_id) AS match_id, v.distance, x.text_score, ' +
+      `v.vector_rank::int AS vector_rank, x.text_rank::int AS text_rank, (${fused})::float8 AS score ` +
+      'FROM vector_hits v FULL OUTER JOIN text_hits x ON v.match_id = x.match_id' +
+    ') ' +
+    'SELECT r.*, f.distance, f.text_score, f.vector_rank, f.text_rank, f.score FROM fused f ' +
+    `CROSS JOIN LATERAL (SELECT ${safeSelect} FROM ${safeTable} WHERE ${safeIdColumn} = f.match_id) r ` +
+    `ORDER BY f.score DESC, f.match_id LIMIT ${safeLimit}${pageOffset}`;
+
+  return { sql, params, limit: safeLimit };
+}
+
+/**
+ * Builds one parameterized query that searches for several query vectors at
+ * once: the vectors are bound as a single array parameter, unnested with
+ * their position and joined LATERAL to the top-k search, so each query can
+ * still use the vector index.
+ *
+ * The shared filter, WHERE SQL and thresholds apply to every query; a query's
+ * own `filter` is added for that query only. Rows are ordered by query and
+ * carry a 0-based `query_index` column; {@link groupBatchResults} puts the rows
+ * of each query in distance order.
+ *
+ * @param {object} options - Options of {@link buildSimilarityQuery} (except vector, offset, cursor and stableOrder), plus:
+ * @param {Array<{vector: Array<number>|object|string, filter?: object}>} options.queries - Parsed query vectors
+ *   and optional per-query filters
+ * @returns {{sql: string, params: Array, limit: number}} Query object; `limit` applies to each query
+ * @throws {Error} If there are no queries, or as {@link buildSimilarityQuery}
+ *
+ * @example
+ * const { sql, params } = buildBatchSimilarityQuery({
+ *   table: 'embeddings',
+ *   column: 'vector',
+ *   queries: [{ vector: [0.1, 0.2] }, { vector: [0.3, 0.1], filter: { lang: 'de' } }],
+ *   limit: 3
+ * });
+ */
+function buildBatchSimilarityQuery(options) {
+  const { queries, limit = DEFAULT_LIMIT } = options;
+  if (!Array.isArray(queries) || queries.length === 0) {
+    throw new Error('Batch search requires at least one query vector');
+  }
+
+  // bit[] means bit(1)[], so bit vectors are bound as varbit
+  const vectorType = resolveVectorType(options.type);
+  const arrayType = vectorType === VECTOR_TYPES.BIT ? 'varbit' : vectorType;
+  const search = buildSearchBase({ ...options, vector: queries[0].vector }, {
+    literal: queries.map((query) => vectorLiteral(query.vector, vectorType)),
+    expression: 'q.query_vector',
+  });
+  const { safeTable, safeSelect, distance, score, params } = search;
+  const whereParts = [...search.whereParts, ...search.thresholdParts];
 
-  // Add filter conditions with escaped identifiers
-  if (filter && typeof filter === 'object') {
-    const entries = Object.entries(filter);
-    for (let i = 0; i < entries.length; i++) {
-      const [key, val] = entries[i];
-      params.push(val);
-      whereParts.push(`${escapeIdentifier(key)} = $${params.length}`);
+  // Per-query filters are picked by the query's position
+  const branches = [];
+  queries.forEach((query, i) => {
+    const filterSql = compileFilter(query.filter, params);
+    if (filterSql) {
+      branches.push(`WHEN ${i + 1} THEN (${filterSql})`);
     }
+  });
+  if (branches.length > 0) {
+    whereParts.push(`CASE q.query_index ${branches.join(' ')} ELSE TRUE END`);
   }
 
-  // Add custom WHERE SQL
-  if (whereSql) {
-    whereParts.push(`(${whereSql})`);
+  const whereClause = whereParts.length > 0 ? ` WHERE ${whereParts.join(' AND ')}` : '';
+  const safeLimit = sanitizeLimit(limit);
+
+  const sql = 'SELECT (q.query_index - 1)::int AS query_index, r.* ' +
+    `FROM unnest($1::${arrayType}[]) WITH ORDINALITY AS q(query_vector, query_index) ` +
+    `CROSS JOIN LATERAL (SELECT ${safeSelect}, ${distance} AS distance, ${score} AS score, ${distance} AS similarity ` +
+    `FROM ${safeTable}${whereClause} ORDER BY ${distance} ASC LIMIT ${safeLimit}) r ` +
+    // r.distance would be ambiguous next to a table column of that name, so ties to it are sorted in groupBatchResults
+    'ORDER BY q.query_index';
+
+  return { sql, params, limit: safeLimit };
+}
+
+/**
+ * Groups the rows of a {@link buildBatchSimilarityQuery} result by query, in input order.
+ *
+ * @param {Array<object>} rows - Result rows with a `query_index` column
+ * @param {Array<{id?: *}>} queries - The queries that were searched
+ * @returns {Array<{index: number, id: *, results: Array<object>}>} One entry per query; `id` is
+ *   the query's id or null, and rows lose their `query_index` column and are sorted by `distance`
+ *
+ * @example
+ * groupBatchResults([{ query_index: 1, id: 7, distance: 0.1 }], [{ id: 'a' }, { id: 'b' }])
+ * // [{ index: 0, id: 'a', results: [] }, { index: 1, id: 'b', results: [{ id: 7, distance: 0.1 }] }]
+ */
+function groupBatchResults(rows, queries) {
+  const groups = queries.map((query, index) => ({ index, id: query.id ?? null, results: [] }));
+  for (const { query_index: queryIndex, ...row } of rows) {
+    groups[queryIndex].results.push(row);
   }
+  for (const group of groups) {
+    group.results.sort((a, b) => a.distance - b.distance);
+  }
+  return groups;
+}
 
-  const whereClause = whereParts.length > 0 ? `WHERE ${whereParts.join(' AND ')}` : '';
+/**
+ * Picks the reference row ids of a "more like this" search from a search message.
+ *
+ * `msg.mode = 'reference'` and `payload.ids` ask for a reference search
+ * explicitly. A bare `payload.id` only counts when the message carries no
+ * parseable query vector, so embedding results that keep their id
+ * (`{ id, embedding }`, `{ id, data: [{ embedding }] }`) still search by vector.
+ *
+ * @param {object} msg - Search message
+ * @param {string} [type='vector'] - Vector type of the column
+ * @param {object} [options] - {@link parseTypedVector} options (strict, encoding)
+ * @returns {Array<*>|null} Reference ids (empty when the explicit mode has none), or null for a vector search
+ *
+ * @example
+ * resolveReferenceIds({ payload: { id: 42 } })                      // [42]
+ * resolveReferenceIds({ payload: { id: 42, embedding: [0.1, 0.2] } }) // null
+ */
+function resolveReferenceIds(msg, type, options) {
+  const payload = msg.payload || {};
+  const ids = payload.ids ?? payload.id;
+  if (msg.mode === 'reference') {
+    return ids == null ? [] : [].concat(ids);
+  }
+  if (ids == null || payload.vector != null || msg.vector != null) {
+    return null;
+  }
+  if (payload.ids != null) {
+    return [].concat(payload.ids);
+  }
+  try {
+    parseTypedVector(payload, type, options);
+    return null;
+  } catch {
+    return [].concat(payload.id);
+  }
+}
+
+/**
+ * Builds a "more like this" query: the query vector is read server-side from
+ * the rows with the given ids, and those rows are left out of the results.
+ *
+ * With several ids, each reference vector is searched LATERAL and a row keeps
+ * its distance to the closest reference; with `average`, the search uses the
+ * mean of the reference vectors (vector and halfvec columns only). Unknown ids
+ * and NULL vectors are skipped, so when no reference vector is found the query
+ * returns no rows.
+ *
+ * @param {object} options - Options of {@link buildSimilarityQuery} (except vector, cursor and stableOrder), plus:
+ * @param {Array<string|number>} options.ids - Ids of the reference rows, matched against `idColumn`
+ * @param {boolean} [options.average=false] - Search with the mean of the reference vectors
+ * @returns {{sql: string, params: Array, limit: number}} Query object; `idColumn` is added to `select` when missing
+ * @throws {Error} If there are no ids, averaging is not supported for the type, or as {@link buildSimilarityQuery}
+ *
+ * @example
+ * const { sql, params } = buildReferenceQuery({
+ *   table: 'articles',
+ *   column: 'embedding',
+ *   ids: [42],
+ *   limit: 5
+ * });
+ */
+function buildReferenceQuery(options) {
+  const { ids, average = false, limit = DEFAULT_LIMIT, offset } = options;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some((id) => id == null || id === '')) {
+    throw new Error('Reference search requires one or more row ids');
+  }
+  const vectorType = resolveVectorType(options.type);
+  if (average && vectorType !== VECTOR_TYPES.VECTOR && vectorType !== VECTOR_TYPES.HALFVEC) {
+    throw new Error(`Averaging reference vectors is not supported for ${vectorType} columns`);
+  }
+
+  const search = buildSearchBase(options, {
+    literal: ids,
+    expression: 'q.query_vector',
+    dimension: vectorType === VECTOR_TYPES.BIT ? 'length(q.query_vector)' : undefined,
+  });
+  const { safeTable, safeColumn, safeIdColumn, distance, score, params } = search;
+  const whereParts = [`${safeIdColumn} <> ALL($1)`, ...search.whereParts, ...search.thresholdParts];
+
+  // Rows are told apart by id, so the id column is always selected
+  let { safeSelect } = search;
+  if (safeSelect !== '*' && !safeSelect.split(', ').includes(safeIdColumn)) {
+    safeSelect = `${safeSelect}, ${safeIdColumn}`;
+  }
+
+  const reference = average
+    ? `SELECT avg(${safeColumn}) AS query_vector FROM ${safeTable} ` +
+      `WHERE ${safeIdColumn} = ANY($1) HAVING count(${safeColumn}) > 0`
+    : `SELECT ${safeColumn} AS query_vector FROM ${safeTable} ` +
+      `WHERE ${safeIdColumn} = ANY($1) AND ${safeColumn} IS NOT NULL`;
 
-  // Sanitize limit
-  const safeLimit = Math.max(1, Math.min(Number(limit) || DEFAULT_LIMIT, MAX_LIMIT));
+  // Every reference must contribute enough rows to fill the requested page
+  const safeLimit = sanitizeLimit(limit);
+  const pageOffset = offsetClause(offset);
+  const depth = safeLimit + (Number(offset) || 0);
 
-  const sql = `SELECT ${safeSelect}, ${safeColumn} ${op} $1 AS similarity FROM ${safeTable} ${whereClause} ORDER BY similarity ASC LIMIT ${safeLimit}`;
+  // Hits are merged by id before the rows are read, so the distance alias never
+  // meets a table column of the same name
+  const sql = `WITH reference AS (${reference}), hits AS (` +
+      'SELECT DISTINCT ON (h.match_id) h.match_id, h.distance, h.score FROM reference q ' +
+      `CROSS JOIN LATERAL (SELECT ${safeIdColumn} AS match_id, ${distance} AS distance, ${score} AS score ` +
+      `FROM ${safeTable} WHERE ${whereParts.join(' AND ')} ORDER BY ${distance} ASC LIMIT ${depth}) h ` +
+      'ORDER BY h.match_id, h.distance' +
+    ') ' +
+    'SELECT r.*, h.distance, h.score, h.distance AS similarity FROM hits h ' +
+    `CROSS JOIN LATERAL (SELECT ${safeSelect} FROM ${safeTable} WHERE ${safeIdColumn} = h.match_id) r ` +
+    `ORDER BY h.distance ASC, h.match_id ASC LIMIT ${safeLimit}${pageOffset}`;
 
-  return { sql, params };
+  return { sql, params, limit: safeLimit };
 }
 
 module.exports = {
   // Functions
   parseVector,
+  parseSparseVector,
+  parseBitVector,
+  parseTypedVector,
   normalizeVector,
   validateDimension,
+  vectorDimension,
   vectorLiteral,
+  resolveVectorType,
+  resolveMetric,
+  resolveMetricOperator,
+  resolveOpclass,
+  scoreExpression,
   buildSimilarityQuery,
+  buildHybridQuery,
+  buildBatchSimilarityQuery,
+  groupBatchResults,
+  buildReferenceQuery,
+  resolveReferenceIds,
+  encodeCursor,
+  decodeCursor,
   escapeIdentifier,
   escapeSelectClause,
   // Constants
   METRIC_OPERATORS,
+  VECTOR_TYPES,
+  TYPE_METRICS,
+  DEFAULT_METRICS,
+  INDEX_OPCLASSES,
+  VECTOR_ENCODINGS,
+  FUSION_METHODS,
+  HYBRID_DEFAULTS,
   MAX_LIMIT,
   DEFAULT_LIMIT,
 };
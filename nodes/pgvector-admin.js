@@ -6,35 +6,16 @@
 
 'use strict';
 
-const { withClient } = require('../lib/client');
-const { validateDimension, escapeIdentifier } = require('../lib/vector-utils');
-
-/**
- * Mapping of distance metric names to pgvector operator classes.
- * @constant {Object<string, string>}
- */
-const METRIC_TO_OPCLASS = Object.freeze({
-  cosine: 'vector_cosine_ops',
-  l2: 'vector_l2_ops',
-  'inner-product': 'vector_ip_ops',
-  ip: 'vector_ip_ops',
-});
-
-/**
- * Default operator class for index creation.
- * @constant {string}
- */
-const DEFAULT_OPCLASS = 'vector_cosine_ops';
-
-/**
- * Probes range limits for IVFFlat index.
- * @constant {object}
- */
-const PROBES_LIMITS = Object.freeze({
-  min: 1,
-  max: 100,
-  default: 10,
-});
+const { withClientRetry, cancelQueries, resolveDeadline } = require('../lib/client');
+const { resolveRetryPolicy, retryOptionsFromConfig } = require('../lib/retry');
+const { attachPoolStatus } = require('../lib/pool-status');
+const { attachLimiter, limitInput } = require('../lib/limiter');
+const {
+  validateDimension,
+  escapeIdentifier,
+  resolveVectorType,
+  resolveOpclass,
+} = require('../lib/vector-utils');
 
 /**
  * Registers the pgvector-admin node type with Node-RED.
@@ -52,15 +33,18 @@ module.exports = function registerAdminNode(RED) {
 
     // Cache configuration
     const pgConfig = RED.nodes.getNode(config.connection);
+    const limiter = attachLimiter(node, config, { onChange: () => poolStatus.refresh() });
+    const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
     const nodeAction = config.action;
     const nodeTable = config.table;
     const nodeColumn = config.column;
-    const nodeMetric = config.metric || 'cosine';
+    const nodeVectorType = config.vectorType || 'vector';
+    const nodeMetric = config.metric;
     const nodeDimension = Number(config.dimension) || undefined;
     const nodeIndexName = config.indexName || '';
-    const nodeProbes = Number(config.probes) || PROBES_LIMITS.default;
+    const nodeRetry = retryOptionsFromConfig(config);
 
-    node.on('input', async (msg, send, done) => {
+    node.on('input', limitInput(node, limiter, async (msg, send, done) => {
       // Validate connection
       if (!pgConfig || !pgConfig.pool) {
         node.error('No pgvector config provided', msg);
@@ -79,27 +63,36 @@ module.exports = function registerAdminNode(RED) {
       const action = msg.action || nodeAction;
       const table = msg.table || nodeTable;
       const column = msg.column || nodeColumn;
+      const vectorType = msg.vectorType || nodeVectorType;
       const metric = msg.metric || nodeMetric;
       const dimension = msg.dimension || nodeDimension;
-      const probes = msg.probes || nodeProbes;
 
       // Generate default index name if not provided
       const indexName = msg.indexName || nodeIndexName || `${table}_${column}_vec_idx`;
 
       try {
-        node.status({ fill: 'blue', shape: 'dot', text: action });
+        node.status(poolStatus.busy(action));
 
         // Pre-escape identifiers for SQL injection protection
         const safeTable = table ? escapeIdentifier(table) : null;
         const safeColumn = column ? escapeIdentifier(column) : null;
         const safeIndexName = indexName ? escapeIdentifier(indexName) : null;
 
+        // Every action is idempotent (IF [NOT] EXISTS, SET), so lost connections are retried too
+        const retryOptions = {
+          retry: resolveRetryPolicy(pgConfig.retryPolicy, nodeRetry, msg.retry),
+          owner: node.id,
+          deadline: resolveDeadline(msg.deadline),
+          idempotent: true,
+          onRetry: poolStatus.retrying,
+        };
+
         let result;
 
         switch (action) {
           case 'create-extension':
-            result = await withClient(pgConfig.pool, (client) =>
-              client.query('CREATE EXTENSION IF NOT EXISTS vector')
+            result = await withClientRetry(pgConfig.pool, (client) =>
+              client.query('CREATE EXTENSION IF NOT EXISTS vector'), retryOptions
             );
             break;
 
@@ -117,9 +110,9 @@ module.exports = function registerAdminNode(RED) {
             const sql = `CREATE TABLE IF NOT EXISTS ${safeTable} (` +
               `id SERIAL PRIMARY KEY, ` +
               `metadata jsonb, ` +
-              `${safeColumn} vector(${dims})` +
+              `${safeColumn} ${resolveVectorType(vectorType)}(${dims})` +
               `)`;
-            result = await withClient(pgConfig.pool, (client) => client.query(sql));
+            result = await withClientRetry(pgConfig.pool, (client) => client.query(sql), retryOptions);
             break;
           }
 
@@ -127,10 +120,10 @@ module.exports = function registerAdminNode(RED) {
             if (!safeTable || !safeColumn || !safeIndexName) {
               throw new Error('table, column, and indexName are required for create-ivfflat');
             }
-            const opClass = METRIC_TO_OPCLASS[metric] || DEFAULT_OPCLASS;
+            const opClass = resolveOpclass('ivfflat', vectorType, metric);
             const sql = `CREATE INDEX IF NOT EXISTS ${safeIndexName} ` +
               `ON ${safeTable} USING ivfflat (${safeColumn} ${opClass})`;
-            result = await withClient(pgConfig.pool, (client) => client.query(sql));
+            result = await withClientRetry(pgConfig.pool, (client) => client.query(sql), retryOptions);
             break;
           }
 
@@ -138,30 +131,23 @@ module.exports = function registerAdminNode(RED) {
             if (!safeTable || !safeColumn || !safeIndexName) {
               throw new Error('table, column, and indexName are required for create-hnsw');
             }
-            const opClass = METRIC_TO_OPCLASS[metric] || DEFAULT_OPCLASS;
+            const opClass = resolveOpclass('hnsw', vectorType, metric);
             const sql = `CREATE INDEX IF NOT EXISTS ${safeIndexName} ` +
               `ON ${safeTable} USING hnsw (${safeColumn} ${opClass})`;
-            result = await withClient(pgConfig.pool, (client) => client.query(sql));
+            result = await withClientRetry(pgConfig.pool, (client) => client.query(sql), retryOptions);
             break;
           }
 
-          case 'set-probes': {
-            // Sanitize probes value within allowed range
-            const safeProbes = Math.max(
-              PROBES_LIMITS.min,
-              Math.min(Number(probes) || PROBES_LIMITS.default, PROBES_LIMITS.max)
-            );
-            const sql = `SET ivfflat.probes = ${safeProbes}`;
-            result = await withClient(pgConfig.pool, (client) => client.query(sql));
-            break;
-          }
+          case 'set-probes':
+            // A session SET only reached the pooled connection it ran on, so the action no longer runs anything
+            throw new Error('set-probes is no longer supported: set probes on pgvector-search, which applies it to each search');
 
           case 'drop-index': {
             if (!safeIndexName) {
               throw new Error('indexName is required for drop-index');
             }
             const sql = `DROP INDEX IF EXISTS ${safeIndexName}`;
-            result = await withClient(pgConfig.pool, (client) => client.query(sql));
+            result = await withClientRetry(pgConfig.pool, (client) => client.query(sql), retryOptions);
             break;
           }
 
@@ -171,13 +157,18 @@ module.exports = function registerAdminNode(RED) {
 
         msg.payload = result?.rows || { ok: true };
         send(msg);
-        node.status({});
+        node.status(poolStatus.idle());
         done();
       } catch (err) {
         node.status({ fill: 'red', shape: 'ring', text: 'error' });
         node.error(err, msg);
         done(err);
       }
+    }));
+
+    // Cancel this node's running queries server-side on redeploy or shutdown
+    node.on('close', (done) => {
+      cancelQueries({ owner: node.id }, 'node closed').then(() => done());
     });
   }
 
@@ -6,12 +6,237 @@
 
 'use strict';
 
-const { createPool } = require('../lib/client');
-const { initializeTelemetry, registerPoolMetrics } = require('../lib/telemetry');
+const {
+  createPool,
+  resolveConnectionConfig,
+  buildSslOptions,
+  buildSessionInit,
+  testConnection,
+  isConnectionError,
+  setCircuitBreaker,
+  cancelQueries,
+} = require('../lib/client');
+const { createCircuitBreaker, CIRCUIT_STATES, CIRCUIT_DEFAULTS } = require('../lib/circuit-breaker');
+const { createPasswordProvider, PASSWORD_SOURCES } = require('../lib/credentials');
+const { resolveRetryPolicy, retryOptionsFromConfig, RETRY_DEFAULTS } = require('../lib/retry');
+const { runDiagnostics, DIAGNOSTICS_TIMEOUT } = require('../lib/diagnostics');
+const { listVectorTables } = require('../lib/catalog');
+const { createPoolRouter, parseHostList, ROUTER_DEFAULTS, POOL_INTENTS } = require('../lib/pool-router');
+const { createHealthMonitor, POOL_STATES, HEALTH_DEFAULTS } = require('../lib/health');
+const { VECTOR_OUTPUT_FORMATS } = require('../lib/type-parsers');
+const {
+  initializeTelemetry,
+  registerPoolMetrics,
+  registerCircuitMetrics,
+  recordCircuitTransition,
+} = require('../lib/telemetry');
 
 // Initialize telemetry once on module load (if OTEL_ENABLED=true)
 initializeTelemetry();
 
+/**
+ * Credentials stored for each pgvector-config node.
+ * @constant {Object<string, {type: string}>}
+ */
+const CONFIG_CREDENTIALS = Object.freeze({
+  user: { type: 'text' },
+  password: { type: 'password' },
+  connectionString: { type: 'password' },
+  sslCa: { type: 'text' },
+  sslCert: { type: 'text' },
+  sslKey: { type: 'password' },
+});
+
+/**
+ * Placeholder the editor sends for password credentials the user has not changed.
+ * @constant {string}
+ */
+const UNCHANGED_PASSWORD = '__PWRD__';
+
+/**
+ * Combines credentials typed into the editor with the ones already saved for the node.
+ * Unchanged password fields arrive as a placeholder, so the saved value is used instead.
+ *
+ * @param {object} [submitted={}] - Credentials from the editor form
+ * @param {object} [saved={}] - Credentials stored for the deployed node
+ * @returns {object} Credentials to test with
+ */
+function mergeEditorCredentials(submitted = {}, saved = {}) {
+  const merged = {};
+  for (const key of Object.keys(CONFIG_CREDENTIALS)) {
+    const value = submitted[key];
+    merged[key] = value === undefined || value === UNCHANGED_PASSWORD ? saved[key] : value;
+  }
+  return merged;
+}
+
+/**
+ * Checks whether resolved editor settings point at the same server and user as
+ * a deployed config node, so its saved secrets may be used for them.
+ *
+ * @param {object} settings - Resolved settings of the editor form
+ * @param {object} [deployed] - Deployed pgvector-config node
+ * @returns {boolean} True when host, port and user all match
+ */
+function isSameConnection(settings, deployed) {
+  return !!deployed &&
+    settings.host === deployed.host &&
+    Number(settings.port) === Number(deployed.port) &&
+    settings.user === deployed.user;
+}
+
+/**
+ * Reads an optional numeric setting, treating blank editor values as unset.
+ * @param {*} value - Raw config value
+ * @param {number} fallback - Value used when unset
+ * @returns {number} Parsed number (may be NaN for invalid input)
+ */
+function numberOr(value, fallback) {
+  return value != null && value !== '' ? Number(value) : fallback;
+}
+
+/**
+ * Resolves and validates the connection settings of a pgvector-config node.
+ * Shared by the node constructor and the editor's "Test connection" endpoint,
+ * so both apply the same precedence and validation.
+ *
+ * @param {object} config - Node configuration (saved, or unsaved editor form values)
+ * @param {object} [credentials={}] - user, password, connectionString, sslCa, sslCert, sslKey
+ * @param {object} [options] - Options
+ * @param {string} [options.name] - Node name or id, used in the default application_name
+ * @param {object} [options.passwordProviders={}] - settings.js `pgvectorPasswordProviders`
+ * @param {object} [options.env=process.env] - Environment for PG* variables and the URI variable
+ * @returns {{settings: object, errors: string[]}} Resolved settings (including `sslOptions` and `sessionInit`) and validation errors
+ */
+function resolvePoolSettings(config, credentials = {}, { name, passwordProviders = {}, env = process.env } = {}) {
+  const settings = {};
+  const errors = [];
+
+  // Resolve connection settings: URI > node fields > PG* env vars > defaults
+  settings.connectionStringEnv = config.connectionStringEnv || '';
+  let connectionString = credentials.connectionString;
+  if (!connectionString && settings.connectionStringEnv) {
+    connectionString = env[settings.connectionStringEnv];
+    if (!connectionString) {
+      errors.push(`Environment variable ${settings.connectionStringEnv} is not set`);
+    }
+  }
+
+  let resolved = {};
+  try {
+    resolved = resolveConnectionConfig({
+      connectionString,
+      host: config.host,
+      port: config.port,
+      database: config.database,
+      user: credentials.user,
+      password: credentials.password,
+      // Legacy SSL checkbox maps to sslmode=require
+      sslmode: config.sslmode || (config.ssl ? 'require' : undefined),
+    }, env);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  // Store configuration
+  settings.host = resolved.host;
+  settings.port = resolved.port != null ? resolved.port : 5432;
+  settings.database = resolved.database;
+  settings.user = resolved.user;
+  settings.password = resolved.password;
+  settings.sslmode = resolved.sslmode || 'disable';
+  settings.sslServername = config.sslServername || '';
+  settings.poolMax = config.max != null ? Number(config.max) : 10;
+
+  // Validate required configuration
+  if (!settings.host || typeof settings.host !== 'string' || settings.host.trim() === '') {
+    errors.push('Host is required (set Host, a connection string, or PGHOST)');
+  }
+  if (!settings.database || typeof settings.database !== 'string' || settings.database.trim() === '') {
+    errors.push('Database name is required (set Database, a connection string, or PGDATABASE)');
+  }
+  if (!Number.isInteger(settings.port) || settings.port < 1 || settings.port > 65535) {
+    errors.push('Port must be between 1 and 65535');
+  }
+  if (settings.poolMax < 1 || settings.poolMax > 100) {
+    errors.push('Pool size must be between 1 and 100');
+  }
+
+  // How vector columns appear in result rows; connections saved before the
+  // setting existed keep text literals, new ones get arrays from the editor default
+  settings.vectorOutput = config.vectorOutput || VECTOR_OUTPUT_FORMATS.TEXT;
+  if (!Object.values(VECTOR_OUTPUT_FORMATS).includes(settings.vectorOutput)) {
+    errors.push(`Invalid vector output "${settings.vectorOutput}": use ${Object.values(VECTOR_OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  // Build TLS options; verify-ca/verify-full validate the server certificate
+  settings.sslOptions = false;
+  try {
+    settings.sslOptions = buildSslOptions({
+      sslmode: settings.sslmode,
+      ca: credentials.sslCa,
+      cert: credentials.sslCert,
+      key: credentials.sslKey,
+      servername: settings.sslServername,
+    });
+  } catch (err) {
+    errors.push(err.message);
+  }
+  settings.ssl = settings.sslOptions !== false;
+  if (!settings.user || typeof settings.user !== 'string' || settings.user.trim() === '') {
+    errors.push('Database user is required (configure in node settings, connection string, or PGUSER)');
+  }
+
+  // Password source: static credential, or a provider consulted for every new connection
+  settings.passwordSource = config.passwordSource || PASSWORD_SOURCES.STATIC;
+  if (settings.passwordSource === PASSWORD_SOURCES.STATIC) {
+    if (!settings.password || typeof settings.password !== 'string') {
+      errors.push('Database password is required (configure in node settings, connection string, or PGPASSWORD)');
+    }
+  } else {
+    try {
+      let fn;
+      if (settings.passwordSource === PASSWORD_SOURCES.FUNCTION) {
+        fn = passwordProviders[config.passwordFunction];
+        if (typeof fn !== 'function') {
+          throw new Error(`Password function "${config.passwordFunction || ''}" is not defined in settings.js pgvectorPasswordProviders`);
+        }
+      }
+      // pg calls this for every new connection, so rotated secrets are always picked up
+      settings.password = createPasswordProvider({
+        source: settings.passwordSource,
+        file: config.passwordFile,
+        command: config.passwordCommand,
+        fn,
+        context: { host: settings.host, port: settings.port, database: settings.database, user: settings.user },
+        cacheTtl: numberOr(config.passwordCacheTtl, 0),
+      });
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  // Per-connection session setup: application_name, search_path, role and GUCs
+  settings.applicationName = config.applicationName || `node-red-pgvector (${name})`;
+  settings.searchPath = config.searchPath || '';
+  settings.role = config.role || '';
+  try {
+    let gucs;
+    if (config.sessionSettings && String(config.sessionSettings).trim() !== '') {
+      try {
+        gucs = JSON.parse(config.sessionSettings);
+      } catch (err) {
+        throw new Error(`Session settings must be valid JSON: ${err.message}`);
+      }
+    }
+    settings.sessionInit = buildSessionInit({ searchPath: settings.searchPath, role: settings.role, settings: gucs });
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  return { settings, errors };
+}
+
 /**
  * Registers the pgvector-config node type with Node-RED.
  * @param {object} RED - Node-RED runtime API
@@ -25,50 +250,146 @@ module.exports = function registerConfigNode(RED) {
   function PgvectorConfigNode(config) {
     RED.nodes.createNode(this, config);
 
-    // Store configuration
-    this.host = config.host;
-    this.port = config.port != null ? Number(config.port) : 5432;
-    this.database = config.database;
-    this.user = this.credentials?.user;
-    this.password = this.credentials?.password;
-    this.ssl = config.ssl || false;
-    this.poolMax = config.max != null ? Number(config.max) : 10;
-
-    // Validation errors array
-    const errors = [];
+    // Resolve connection settings: URI > node fields > PG* env vars > defaults
+    const { settings, errors } = resolvePoolSettings(config, this.credentials || {}, {
+      name: this.name || this.id,
+      passwordProviders: RED.settings.pgvectorPasswordProviders,
+    });
+    const { sslOptions, sessionInit, ...connection } = settings;
+    Object.assign(this, connection);
 
-    // Validate required configuration
-    if (!this.host || typeof this.host !== 'string' || this.host.trim() === '') {
-      errors.push('Host is required');
+    // Optional read replicas share database, credentials and TLS settings
+    this.replicaHealthInterval = numberOr(config.replicaHealthInterval, ROUTER_DEFAULTS.healthCheckInterval);
+    let replicaHosts = [];
+    try {
+      replicaHosts = parseHostList(config.replicas, this.port);
+    } catch (err) {
+      errors.push(err.message);
     }
-    if (!this.database || typeof this.database !== 'string' || this.database.trim() === '') {
-      errors.push('Database name is required');
+    if (!Number.isFinite(this.replicaHealthInterval) || this.replicaHealthInterval < 0) {
+      errors.push('Replica health check interval must be 0 or a positive number of milliseconds');
     }
-    if (this.port < 1 || this.port > 65535) {
-      errors.push('Port must be between 1 and 65535');
+
+    // Background health monitoring of the primary pool
+    this.healthInterval = numberOr(config.healthInterval, HEALTH_DEFAULTS.interval);
+    this.healthSlowThreshold = numberOr(config.healthSlowThreshold, HEALTH_DEFAULTS.slowThreshold);
+    if (!Number.isFinite(this.healthInterval) || this.healthInterval < 0) {
+      errors.push('Health check interval must be 0 or a positive number of milliseconds');
+    }
+    if (!Number.isFinite(this.healthSlowThreshold) || this.healthSlowThreshold < 0) {
+      errors.push('Slow response threshold must be 0 or a positive number of milliseconds');
     }
-    if (this.poolMax < 1 || this.poolMax > 100) {
-      errors.push('Pool size must be between 1 and 100');
+
+    // Per-pool circuit breaker: fail fast after consecutive connection failures
+    this.circuitThreshold = numberOr(config.circuitThreshold, CIRCUIT_DEFAULTS.failureThreshold);
+    this.circuitResetTimeout = numberOr(config.circuitResetTimeout, CIRCUIT_DEFAULTS.resetTimeout);
+    if (!Number.isInteger(this.circuitThreshold) || this.circuitThreshold < 0) {
+      errors.push('Circuit breaker threshold must be 0 or a positive whole number');
     }
-    if (!this.user || typeof this.user !== 'string' || this.user.trim() === '') {
-      errors.push('Database user is required (configure in node settings)');
+    if (!Number.isFinite(this.circuitResetTimeout) || this.circuitResetTimeout < 0) {
+      errors.push('Circuit breaker cool-down must be 0 or a positive number of milliseconds');
     }
-    if (!this.password || typeof this.password !== 'string') {
-      errors.push('Database password is required (configure in node settings)');
+
+    // Retry policy shared by every node using this connection; nodes may override it
+    this.retryPolicy = { ...RETRY_DEFAULTS };
+    try {
+      this.retryPolicy = resolveRetryPolicy(retryOptionsFromConfig(config));
+    } catch (err) {
+      errors.push(err.message);
     }
 
+    this.replicaPools = [];
+    this.router = null;
+    this.circuitState = CIRCUIT_STATES.CLOSED;
+    this.monitor = null;
+    this.poolState = POOL_STATES.UNKNOWN;
+    this.poolStateDetails = { state: POOL_STATES.UNKNOWN, previous: null, latencyMs: null, replicas: [], timestamp: null };
+
+    // Every pgvector node using this config listens for pool-state and circuit-state events
+    this.setMaxListeners(0);
+
+    /**
+     * Combines primary and replica health into one state and emits
+     * a `pool-state` event when it changes.
+     */
+    const publishPoolState = () => {
+      const replicas = this.router ? this.router.getReplicaStatus() : [];
+      const primary = this.monitor ? this.monitor.getLastResult() : { state: POOL_STATES.UNKNOWN };
+      let state = primary.state;
+      if (state === POOL_STATES.CONNECTED && replicas.some((r) => !r.healthy)) {
+        state = POOL_STATES.DEGRADED;
+      }
+      if (state === this.poolState) {
+        return;
+      }
+
+      const event = {
+        state,
+        previous: this.poolState,
+        latencyMs: primary.latencyMs,
+        replicas,
+        timestamp: new Date().toISOString(),
+      };
+      this.poolState = state;
+      this.poolStateDetails = event;
+
+      if (state === POOL_STATES.DOWN) {
+        this.warn('Database health check failed: pool is down');
+      } else if (event.previous !== POOL_STATES.UNKNOWN || state !== POOL_STATES.CONNECTED) {
+        this.log(`Database pool state: ${event.previous} -> ${state}`);
+      }
+      this.emit('pool-state', event);
+    };
+
+    // Telemetry gauge callbacks hold the pools and breakers; removed on close
+    const metricDisposers = [];
+
+    /**
+     * Attaches a circuit breaker to a pool and reports its state changes
+     * as `circuit-state` events.
+     * @param {import('pg').Pool} pool - Pool to protect
+     * @param {string} name - Pool name (host:port)
+     * @param {boolean} isPrimary - Whether this is the primary pool
+     */
+    const attachCircuitBreaker = (pool, name, isPrimary) => {
+      const breaker = createCircuitBreaker({
+        name,
+        failureThreshold: this.circuitThreshold,
+        resetTimeout: this.circuitResetTimeout,
+        probe: () => testConnection(pool),
+        isFailure: isConnectionError,
+        onStateChange: (event) => {
+          if (event.state === CIRCUIT_STATES.OPEN) {
+            this.warn(`Circuit breaker opened for ${name}: failing fast for ${this.circuitResetTimeout}ms`);
+          } else {
+            this.log(`Circuit breaker for ${name}: ${event.previous} -> ${event.state}`);
+          }
+          recordCircuitTransition(name, event.state);
+          if (isPrimary) {
+            this.circuitState = event.state;
+          }
+          this.emit('circuit-state', { ...event, primary: isPrimary });
+        },
+      });
+      setCircuitBreaker(pool, breaker);
+      metricDisposers.push(registerCircuitMetrics(breaker, name));
+    };
+
     // Only create pool if all validation passes
     if (errors.length === 0) {
       try {
-        this.pool = createPool({
-          host: this.host,
-          port: this.port,
+        const poolOptions = {
           database: this.database,
           user: this.user,
           password: this.password,
-          ssl: this.ssl ? { rejectUnauthorized: false } : false,
+          ssl: sslOptions,
           max: this.poolMax,
-        });
+          applicationName: this.applicationName,
+          sessionInit,
+          vectorOutput: this.vectorOutput,
+        };
+
+        this.pool = createPool({ ...poolOptions, host: this.host, port: this.port });
 
         // Add error handler for pool-level errors (idle connection failures)
         this.pool.on('error', (err) => {
@@ -76,9 +397,46 @@ module.exports = function registerConfigNode(RED) {
         });
 
         // Register pool metrics for OpenTelemetry
-        registerPoolMetrics(this.pool);
+        metricDisposers.push(registerPoolMetrics(this.pool));
+        attachCircuitBreaker(this.pool, `${this.host}:${this.port}`, true);
+
+        this.log(`Connection pool created: ${this.user}@${this.host}:${this.port}/${this.database} (max: ${this.poolMax}, sslmode: ${this.sslmode}, password: ${this.passwordSource})`);
+
+        this.replicaPools = replicaHosts.map(({ host, port }) => {
+          const name = `${host}:${port}`;
+          const pool = createPool({ ...poolOptions, host, port });
+          pool.on('error', (err) => {
+            this.warn(`Replica ${name} pool error: ${err.message}`);
+          });
+          metricDisposers.push(registerPoolMetrics(pool));
+          attachCircuitBreaker(pool, name, false);
+          return { name, pool };
+        });
+
+        this.router = createPoolRouter({
+          primary: this.pool,
+          replicas: this.replicaPools,
+          healthCheckInterval: this.replicaHealthInterval,
+          onHealthChange: (name, healthy) => {
+            if (healthy) {
+              this.log(`Replica ${name} is healthy again`);
+            } else {
+              this.warn(`Replica ${name} failed its health check; routing reads elsewhere`);
+            }
+            publishPoolState();
+          },
+        });
 
-        this.log(`Connection pool created: ${this.user}@${this.host}:${this.port}/${this.database} (max: ${this.poolMax})`);
+        this.monitor = createHealthMonitor({
+          pool: this.pool,
+          interval: this.healthInterval,
+          slowThreshold: this.healthSlowThreshold,
+          onStateChange: publishPoolState,
+        });
+
+        if (this.replicaPools.length > 0) {
+          this.log(`Read replicas: ${this.replicaPools.map((r) => r.name).join(', ')}`);
+        }
       } catch (err) {
         this.error(`Failed to create connection pool: ${err.message}`);
         this.pool = null;
@@ -91,11 +449,36 @@ module.exports = function registerConfigNode(RED) {
       this.warn(errorMsg);
     }
 
-    // Handle node shutdown - ensure pool is properly closed
+    /**
+     * Returns the pool to run work on.
+     * Read-only work is spread across healthy replicas; everything else uses the primary.
+     * @param {string} [intent='write'] - 'read' for replica-eligible work
+     * @returns {import('pg').Pool|null} Selected pool
+     */
+    this.getPool = (intent) => (this.router ? this.router.getPool(intent) : this.pool);
+
+    // Handle node shutdown - ensure all pools are properly closed
     this.on('close', (done) => {
+      if (this.router) {
+        this.router.stop();
+      }
+      if (this.monitor) {
+        this.monitor.stop();
+      }
+      for (const dispose of metricDisposers.splice(0)) {
+        dispose();
+      }
       if (this.pool) {
         this.log('Closing connection pool');
-        this.pool.end()
+        const pools = [this.pool, ...this.replicaPools.map((r) => r.pool)];
+        // pool.end() waits for checked-out clients, so stop long-running work server-side first
+        cancelQueries({ pools }, 'connection closed')
+          .then((cancelled) => {
+            if (cancelled > 0) {
+              this.log(`Cancelled ${cancelled} running ${cancelled === 1 ? 'query' : 'queries'}`);
+            }
+            return Promise.all(pools.map((pool) => pool.end()));
+          })
           .then(() => {
             this.log('Connection pool closed successfully');
             done();
@@ -112,9 +495,92 @@ module.exports = function registerConfigNode(RED) {
 
   // Register node type with credentials
   RED.nodes.registerType('pgvector-config', PgvectorConfigNode, {
-    credentials: {
-      user: { type: 'text' },
-      password: { type: 'password' },
-    },
+    credentials: CONFIG_CREDENTIALS,
+  });
+
+  /**
+   * "Test connection" button: connects with the unsaved editor values and
+   * reports server version, pgvector status and privileges.
+   * Body: `{id, config, credentials}`; responds with `{ok, ...}` or `{ok: false, error}`.
+   *
+   * The command and file password sources are refused, since the form values
+   * come from the browser and would otherwise run commands or read files on the
+   * Node-RED host. Saved credentials of `id` and the PG* environment variables
+   * are only used when host, port and user match the deployed connection.
+   */
+  RED.httpAdmin.post('/pgvector-config/test', RED.auth.needsPermission('pgvector-config.write'), async (req, res) => {
+    const { id, config = {}, credentials = {} } = req.body || {};
+    if (config.passwordSource === PASSWORD_SOURCES.COMMAND || config.passwordSource === PASSWORD_SOURCES.FILE) {
+      res.json({
+        ok: false,
+        error: `The ${config.passwordSource} password source cannot be tested from the editor; deploy the connection and check its status instead`,
+      });
+      return;
+    }
+
+    const options = {
+      name: config.name || id,
+      passwordProviders: RED.settings.pgvectorPasswordProviders,
+    };
+    const node = id ? RED.nodes.getNode(id) : null;
+    const deployed = node?.type === 'pgvector-config' ? node : null;
+    const saved = (deployed && RED.nodes.getCredentials(id)) || {};
+    let { settings, errors } = resolvePoolSettings(config, mergeEditorCredentials(credentials, saved), options);
+    // Saved and environment secrets are only ever sent to the server they were configured for
+    if (!isSameConnection(settings, deployed)) {
+      ({ settings, errors } = resolvePoolSettings(config, mergeEditorCredentials(credentials), { ...options, env: {} }));
+    }
+    if (errors.length > 0) {
+      res.json({ ok: false, error: `Invalid configuration: ${errors.join('; ')}` });
+      return;
+    }
+
+    const pool = createPool({
+      host: settings.host,
+      port: settings.port,
+      database: settings.database,
+      user: settings.user,
+      password: settings.password,
+      ssl: settings.sslOptions,
+      max: 1,
+      connectionTimeoutMillis: DIAGNOSTICS_TIMEOUT,
+      applicationName: settings.applicationName,
+      sessionInit: settings.sessionInit,
+    });
+    // A failed test must never surface as an uncaught pool error
+    pool.on('error', () => {});
+
+    try {
+      const report = await runDiagnostics(pool);
+      res.json({ ok: true, host: settings.host, port: settings.port, sslmode: settings.sslmode, ...report });
+    } catch (err) {
+      res.json({ ok: false, error: err.message, code: err.code });
+    } finally {
+      pool.end().catch(() => {});
+    }
+  });
+
+  /**
+   * Table and vector column autocomplete for node dialogs.
+   * Uses the deployed config node's pool, so the connection must be deployed first.
+   * Responds with `{tables: [{schema, name, columns: [{name, dimension}]}]}`.
+   */
+  RED.httpAdmin.get('/pgvector-config/:id/tables', RED.auth.needsPermission('pgvector-config.read'), async (req, res) => {
+    const pgConfig = RED.nodes.getNode(req.params.id);
+    if (!pgConfig || pgConfig.type !== 'pgvector-config') {
+      res.status(404).json({ error: 'Connection not deployed' });
+      return;
+    }
+    if (!pgConfig.pool) {
+      res.status(503).json({ error: 'Connection is not configured correctly' });
+      return;
+    }
+
+    try {
+      const tables = await listVectorTables(pgConfig.getPool(POOL_INTENTS.READ));
+      res.json({ tables });
+    } catch (err) {
+      res.status(502).json({ error: err.message, code: err.code });
+    }
   });
 };
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Pool health event node for pgvector.
+ * Emits a message whenever the connection pool or its circuit breaker changes state so flows can react to outages.
+ * @module nodes/pgvector-health
+ */
+
+'use strict';
+
+const { attachPoolStatus } = require('../lib/pool-status');
+
+/**
+ * Registers the pgvector-health node type with Node-RED.
+ * @param {object} RED - Node-RED runtime API
+ */
+module.exports = function registerHealthNode(RED) {
+  /**
+   * Health node constructor.
+   * @param {object} config - Node configuration from editor
+   */
+  function PgvectorHealthNode(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+
+    // Cache configuration
+    const pgConfig = RED.nodes.getNode(config.connection);
+    const poolStatus = attachPoolStatus(node, pgConfig);
+
+    if (!pgConfig) {
+      node.status({ fill: 'red', shape: 'ring', text: 'no config' });
+      return;
+    }
+
+    // Forward every pool state and circuit breaker change as a message
+    const onPoolState = (event) => {
+      node.send({ topic: 'pool-state', payload: event });
+    };
+    const onCircuitState = (event) => {
+      node.send({ topic: 'circuit-state', payload: event });
+    };
+    pgConfig.on('pool-state', onPoolState);
+    pgConfig.on('circuit-state', onCircuitState);
+    node.on('close', () => {
+      pgConfig.removeListener('pool-state', onPoolState);
+      pgConfig.removeListener('circuit-state', onCircuitState);
+    });
+
+    // Any input runs an immediate health check and reports the current state
+    node.on('input', async (msg, send, done) => {
+      try {
+        if (pgConfig.monitor) {
+          await pgConfig.monitor.check();
+        }
+        msg.topic = 'pool-state';
+        msg.payload = pgConfig.poolStateDetails;
+        send(msg);
+        node.status(poolStatus.idle());
+        done();
+      } catch (err) {
+        node.status({ fill: 'red', shape: 'ring', text: 'error' });
+        node.error(err, msg);
+        done(err);
+      }
+    });
+  }
+
+  RED.nodes.registerType('pgvector-health', PgvectorHealthNode);
+};
@@ -6,9 +6,12 @@
 
 'use strict';
 
-const { withClient } = require('../lib/client');
+const { withClientRetry, cancelQueries, resolveDeadline } = require('../lib/client');
+const { resolveRetryPolicy, retryOptionsFromConfig } = require('../lib/retry');
+const { attachPoolStatus } = require('../lib/pool-status');
+const { attachLimiter, limitInput } = require('../lib/limiter');
 const {
-  parseVector,
+  parseTypedVector,
   validateDimension,
   vectorLiteral,
   escapeIdentifier,
@@ -30,12 +33,18 @@ module.exports = function registerInsertNode(RED) {
 
     // Cache configuration
     const pgConfig = RED.nodes.getNode(config.connection);
+    const limiter = attachLimiter(node, config, { onChange: () => poolStatus.refresh() });
+    const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
     const nodeTable = config.table;
     const nodeColumn = config.column;
     const nodeIdColumn = config.idColumn || 'id';
     const nodeDimension = Number(config.dimension) || undefined;
+    const nodeVectorType = config.vectorType || 'vector';
+    const nodeVectorEncoding = config.vectorEncoding || 'float32';
+    const nodeStrictVectors = config.strictVectors || false;
+    const nodeRetry = retryOptionsFromConfig(config);
 
-    node.on('input', async (msg, send, done) => {
+    node.on('input', limitInput(node, limiter, async (msg, send, done) => {
       // Validate connection
       if (!pgConfig || !pgConfig.pool) {
         node.error('No pgvector config provided', msg);
@@ -54,6 +63,8 @@ module.exports = function registerInsertNode(RED) {
       const table = msg.table || nodeTable;
       const column = msg.column || nodeColumn;
       const idColumn = msg.idColumn || nodeIdColumn;
+      const vectorType = msg.vectorType || nodeVectorType;
+      const vectorOptions = { strict: nodeStrictVectors, encoding: msg.vectorEncoding || nodeVectorEncoding };
       const payload = msg.payload || msg.record;
 
       // Validate required fields
@@ -87,8 +98,8 @@ module.exports = function registerInsertNode(RED) {
         const valueRows = [];
         for (let i = 0; i < records.length; i++) {
           const r = records[i];
-          const rowVec = validateDimension(parseVector(r.vector), nodeDimension);
-          const rowValues = [vectorLiteral(rowVec)];
+          const rowVec = validateDimension(parseTypedVector(r.vector, vectorType, vectorOptions), nodeDimension);
+          const rowValues = [vectorLiteral(rowVec, vectorType)];
           for (let j = 0; j < fields.length; j++) {
             rowValues.push(r[fields[j]]);
           }
@@ -110,18 +121,30 @@ module.exports = function registerInsertNode(RED) {
         const flatParams = valueRows.flat();
 
         // Execute insert
-        node.status({ fill: 'blue', shape: 'dot', text: 'inserting' });
-        const result = await withClient(pgConfig.pool, (client) => client.query(sql, flatParams));
+        node.status(poolStatus.busy('inserting'));
+        // Not idempotent: only retry failures where the INSERT cannot have been applied
+        const result = await withClientRetry(pgConfig.pool, (client) => client.query(sql, flatParams), {
+          retry: resolveRetryPolicy(pgConfig.retryPolicy, nodeRetry, msg.retry),
+          owner: node.id,
+          deadline: resolveDeadline(msg.deadline),
+          idempotent: false,
+          onRetry: poolStatus.retrying,
+        });
 
         msg.payload = result.rows;
         send(msg);
-        node.status({});
+        node.status(poolStatus.idle());
         done();
       } catch (err) {
         node.status({ fill: 'red', shape: 'ring', text: 'error' });
         node.error(err, msg);
         done(err);
       }
+    }));
+
+    // Cancel this node's running queries server-side on redeploy or shutdown
+    node.on('close', (done) => {
+      cancelQueries({ owner: node.id }, 'node closed').then(() => done());
     });
   }
 
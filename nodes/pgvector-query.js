@@ -6,7 +6,16 @@
 
 'use strict';
 
-const { withClient } = require('../lib/client');
+const {
+  withClientRetry,
+  inTransaction,
+  cancelQueries,
+  resolveDeadline,
+} = require('../lib/client');
+const { resolveRetryPolicy, retryOptionsFromConfig } = require('../lib/retry');
+const { attachPoolStatus } = require('../lib/pool-status');
+const { attachLimiter, limitInput } = require('../lib/limiter');
+const { POOL_INTENTS } = require('../lib/pool-router');
 
 /**
  * Registers the pgvector-query node type with Node-RED.
@@ -24,9 +33,13 @@ module.exports = function registerQueryNode(RED) {
 
     // Cache configuration
     const pgConfig = RED.nodes.getNode(config.connection);
+    const limiter = attachLimiter(node, config, { onChange: () => poolStatus.refresh() });
+    const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
     const nodeSql = config.sql;
+    const nodeReadOnly = config.readOnly || false;
+    const nodeRetry = retryOptionsFromConfig(config);
 
-    node.on('input', async (msg, send, done) => {
+    node.on('input', limitInput(node, limiter, async (msg, send, done) => {
       // Validate connection
       if (!pgConfig || !pgConfig.pool) {
         node.error('No pgvector config provided', msg);
@@ -54,20 +67,40 @@ module.exports = function registerQueryNode(RED) {
         return;
       }
 
+      // Read-only queries may be routed to a replica (msg.readOnly overrides node config)
+      const readOnly = msg.readOnly != null ? !!msg.readOnly : nodeReadOnly;
+      const pool = pgConfig.getPool(readOnly ? POOL_INTENTS.READ : POOL_INTENTS.WRITE);
+
       try {
-        node.status({ fill: 'blue', shape: 'dot', text: 'querying' });
-        const result = await withClient(pgConfig.pool, (client) => client.query(sql, params));
+        node.status(poolStatus.busy('querying'));
+        // Read-only SQL runs in a READ ONLY transaction, so it cannot write on the primary either
+        // and is safe to repeat after a lost connection
+        const run = readOnly
+          ? (client) => inTransaction(client, () => client.query(sql, params), { readOnly: true })
+          : (client) => client.query(sql, params);
+        const result = await withClientRetry(pool, run, {
+          retry: resolveRetryPolicy(pgConfig.retryPolicy, nodeRetry, msg.retry),
+          owner: node.id,
+          deadline: resolveDeadline(msg.deadline),
+          idempotent: readOnly,
+          onRetry: poolStatus.retrying,
+        });
 
         msg.payload = result.rows;
         msg.count = result.rowCount;
         send(msg);
-        node.status({});
+        node.status(poolStatus.idle());
         done();
       } catch (err) {
         node.status({ fill: 'red', shape: 'ring', text: 'error' });
         node.error(err, msg);
         done(err);
       }
+    }));
+
+    // Cancel this node's running queries server-side on redeploy or shutdown
+    node.on('close', (done) => {
+      cancelQueries({ owner: node.id }, 'node closed').then(() => done());
     });
   }
 
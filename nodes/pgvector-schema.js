@@ -6,17 +6,22 @@
 
 'use strict';
 
-const { withClient } = require('../lib/client');
+const { withClientRetry, cancelQueries, resolveDeadline } = require('../lib/client');
+const { resolveRetryPolicy, retryOptionsFromConfig } = require('../lib/retry');
+const { attachPoolStatus } = require('../lib/pool-status');
+const { attachLimiter, limitInput } = require('../lib/limiter');
+const { POOL_INTENTS } = require('../lib/pool-router');
 
 /**
- * SQL query to list all public tables.
+ * SQL query to list tables in the schemas on the session's search_path
+ * (just `public` unless the connection configures a search path).
  * @constant {string}
  */
 const LIST_TABLES_SQL = `
-  SELECT table_name
+  SELECT table_name, table_schema
   FROM information_schema.tables
-  WHERE table_schema = 'public'
-  ORDER BY table_name
+  WHERE table_schema = ANY (current_schemas(false))
+  ORDER BY table_schema, table_name
 `;
 
 /**
@@ -45,9 +50,12 @@ module.exports = function registerSchemaNode(RED) {
 
     // Cache configuration
     const pgConfig = RED.nodes.getNode(config.connection);
+    const limiter = attachLimiter(node, config, { onChange: () => poolStatus.refresh() });
+    const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
     const nodeTable = config.table;
+    const nodeRetry = retryOptionsFromConfig(config);
 
-    node.on('input', async (msg, send, done) => {
+    node.on('input', limitInput(node, limiter, async (msg, send, done) => {
       // Validate connection
       if (!pgConfig || !pgConfig.pool) {
         node.error('No pgvector config provided', msg);
@@ -66,30 +74,45 @@ module.exports = function registerSchemaNode(RED) {
       const table = msg.table || nodeTable;
 
       try {
-        node.status({ fill: 'blue', shape: 'dot', text: 'querying' });
+        node.status(poolStatus.busy('querying'));
+
+        // Catalog reads are safe to serve from a replica
+        const pool = pgConfig.getPool(POOL_INTENTS.READ);
+        const retryOptions = {
+          retry: resolveRetryPolicy(pgConfig.retryPolicy, nodeRetry, msg.retry),
+          owner: node.id,
+          deadline: resolveDeadline(msg.deadline),
+          idempotent: true,
+          onRetry: poolStatus.retrying,
+        };
 
         let result;
         if (table) {
           // List columns for specific table
-          result = await withClient(pgConfig.pool, (client) =>
-            client.query(LIST_COLUMNS_SQL, [table])
+          result = await withClientRetry(pool, (client) =>
+            client.query(LIST_COLUMNS_SQL, [table]), retryOptions
           );
         } else {
-          // List all public tables
-          result = await withClient(pgConfig.pool, (client) =>
-            client.query(LIST_TABLES_SQL)
+          // List tables on the search path
+          result = await withClientRetry(pool, (client) =>
+            client.query(LIST_TABLES_SQL), retryOptions
           );
         }
 
         msg.payload = result.rows;
         send(msg);
-        node.status({});
+        node.status(poolStatus.idle());
         done();
       } catch (err) {
         node.status({ fill: 'red', shape: 'ring', text: 'error' });
         node.error(err, msg);
         done(err);
       }
+    }));
+
+    // Cancel this node's running queries server-side on redeploy or shutdown
+    node.on('close', (done) => {
+      cancelQueries({ owner: node.id }, 'node closed').then(() => done());
     });
   }
 
@@ -6,13 +6,31 @@
 
 'use strict';
 
-const { queryWithRetry, DEFAULT_QUERY_TIMEOUT } = require('../lib/client');
 const {
-  parseVector,
+  queryWithRetry,
+  cancelQueries,
+  resolveDeadline,
+  DEFAULT_QUERY_TIMEOUT,
+} = require('../lib/client');
+const { resolveRetryPolicy, retryOptionsFromConfig } = require('../lib/retry');
+const { attachPoolStatus } = require('../lib/pool-status');
+const { attachLimiter, limitInput } = require('../lib/limiter');
+const { POOL_INTENTS } = require('../lib/pool-router');
+const {
+  parseTypedVector,
   normalizeVector,
   validateDimension,
+  vectorDimension,
   buildSimilarityQuery,
+  buildHybridQuery,
+  buildBatchSimilarityQuery,
+  groupBatchResults,
+  buildReferenceQuery,
+  resolveReferenceIds,
+  encodeCursor,
 } = require('../lib/vector-utils');
+const { rerankMmr, resolveFetchK, MMR_DEFAULTS } = require('../lib/mmr');
+const { buildSearchSettings } = require('../lib/search-settings');
 const { createLogger, createChildLogger, logQuery, logError } = require('../lib/logger');
 const { startSpan, endSpan, recordQuery, recordError } = require('../lib/telemetry');
 
@@ -33,17 +51,43 @@ module.exports = function registerSearchNode(RED) {
 
     // Cache configuration for performance
     const pgConfig = RED.nodes.getNode(config.connection);
+    const limiter = attachLimiter(node, config, { onChange: () => poolStatus.refresh() });
+    const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
     const nodeTable = config.table;
     const nodeColumn = config.column;
-    const nodeMetric = config.metric || 'cosine';
+    const nodeVectorType = config.vectorType || 'vector';
+    const nodeVectorEncoding = config.vectorEncoding || 'float32';
+    const nodeStrictVectors = config.strictVectors || false;
+    const nodeMetric = config.metric;
     const nodeLimit = Number(config.limit) || 10;
     const nodeNormalize = config.normalize || false;
     const nodeDimension = Number(config.dimension) || undefined;
     const nodeSelect = config.select || '*';
+    const nodeIdColumn = config.idColumn || 'id';
+    const nodePagination = config.pagination || 'offset';
+    const nodeMode = config.mode || 'vector';
+    const nodeTextColumn = config.textColumn;
+    const nodeTextColumnType = config.textColumnType || 'text';
+    const nodeTextConfig = config.textConfig || 'english';
+    const nodeFusion = config.fusion || 'rrf';
+    const nodeRrfK = config.rrfK;
+    const nodeVectorWeight = config.vectorWeight;
+    const nodeMmr = config.mmr === true;
+    const nodeFetchK = config.fetchK;
+    const nodeMmrLambda = config.mmrLambda;
+    const nodeAverageReferences = config.averageReferences === true;
+    const nodeEfSearch = config.efSearch;
+    const nodeProbes = config.probes;
+    const nodeIterativeScan = config.iterativeScan;
+    const nodeMaxScanTuples = config.maxScanTuples;
     const nodeWhere = config.where || '';
+    const nodeAllowMsgWhere = config.allowMsgWhere !== false;
+    const nodeMinScore = config.minScore;
+    const nodeMaxDistance = config.maxDistance;
     const nodeTimeout = Number(config.timeout) || DEFAULT_QUERY_TIMEOUT;
+    const nodeRetry = retryOptionsFromConfig(config);
 
-    node.on('input', async (msg, send, done) => {
+    node.on('input', limitInput(node, limiter, async (msg, send, done) => {
       const startTime = Date.now();
       const msgLogger = createChildLogger(logger, { msgId: msg._msgid });
 
@@ -80,15 +124,40 @@ module.exports = function registerSearchNode(RED) {
       // Merge node config with message properties (msg overrides node config)
       const table = msg.table || nodeTable;
       const column = msg.column || nodeColumn;
+      const vectorType = msg.vectorType || nodeVectorType;
+      const vectorOptions = { strict: nodeStrictVectors, encoding: msg.vectorEncoding || nodeVectorEncoding };
       const metric = msg.metric || nodeMetric;
       const limit = msg.limit || nodeLimit;
       const whereSql = msg.where || nodeWhere;
+      const whereParams = msg.whereParams;
       const select = msg.select || nodeSelect;
+      const idColumn = msg.idColumn || nodeIdColumn;
+      const hybrid = (msg.mode || nodeMode) === 'hybrid';
+      const mmr = msg.mmr != null ? msg.mmr === true : nodeMmr;
+      const hasCursor = msg.cursor != null && msg.cursor !== '';
+      // Batch searches run several queries at once and are returned whole
+      const batchInput = msg.payload?.vectors || msg.vectors;
+      const batch = batchInput != null;
+      // payload.ids, msg.mode 'reference', or an id without a query vector pick rows whose vectors are searched with
+      const referenceIds = batch ? null : resolveReferenceIds(msg, vectorType, vectorOptions);
+      const reference = referenceIds != null;
+      // Hybrid results are ranked by fused score, so they page by offset only
+      const cursorMode = !hybrid && !mmr && !batch && !reference && (nodePagination === 'cursor' || hasCursor);
+      const offset = cursorMode ? undefined : msg.offset;
       const timeout = msg.timeout || nodeTimeout;
+      const minScore = msg.minScore != null ? msg.minScore : nodeMinScore;
+      const maxDistance = msg.maxDistance != null ? msg.maxDistance : nodeMaxDistance;
+      const tuning = {
+        efSearch: msg.efSearch != null ? msg.efSearch : nodeEfSearch,
+        probes: msg.probes != null ? msg.probes : nodeProbes,
+        iterativeScan: msg.iterativeScan != null ? msg.iterativeScan : nodeIterativeScan,
+        maxScanTuples: msg.maxScanTuples != null ? msg.maxScanTuples : nodeMaxScanTuples,
+      };
 
       // Extract vector and filter from payload
       const payload = msg.payload || {};
       const filter = msg.filter || payload.filter;
+      const text = msg.text || payload.text;
       let vec = payload.vector || msg.vector || payload;
 
       // Detailed field validation with specific error messages
@@ -110,6 +179,15 @@ module.exports = function registerSearchNode(RED) {
         return;
       }
 
+      if (msg.where && !nodeAllowMsgWhere) {
+        const errorMsg = 'msg.where is not allowed by this node. Use msg.filter or msg.whereParams with the configured WHERE SQL.';
+        node.error(errorMsg, msg);
+        node.status({ fill: 'red', shape: 'ring', text: 'msg.where not allowed' });
+        logError(msgLogger, new Error(errorMsg), 'validate-where');
+        done();
+        return;
+      }
+
       if (vec == null) {
         const errorMsg = 'Missing required field: vector. Pass as msg.payload.vector, msg.vector, or msg.payload.';
         node.error(errorMsg, msg);
@@ -120,44 +198,129 @@ module.exports = function registerSearchNode(RED) {
       }
 
       try {
-        // Parse and validate vector
-        vec = validateDimension(parseVector(vec), nodeDimension);
+        // Parse and validate vector, normalizing if configured
+        const prepareVector = (input) => {
+          const parsed = validateDimension(parseTypedVector(input, vectorType, vectorOptions), nodeDimension);
+          return nodeNormalize || msg.normalize ? normalizeVector(parsed) : parsed;
+        };
+
+        let queries;
+        if (batch) {
+          if (!Array.isArray(batchInput) || batchInput.length === 0) {
+            throw new Error('payload.vectors must be a non-empty array of vectors');
+          }
+          queries = batchInput.map((entry, index) => {
+            // An object with a vector property is a query with options; anything else is the vector itself
+            const query = entry && typeof entry === 'object' && !Array.isArray(entry) && !ArrayBuffer.isView(entry) &&
+              'vector' in entry ? entry : { vector: entry };
+            try {
+              return { id: query.id, filter: query.filter, vector: prepareVector(query.vector) };
+            } catch (err) {
+              throw new Error(`Query ${index}: ${err.message}`);
+            }
+          });
+          vec = queries[0].vector;
+        } else if (!reference) {
+          vec = prepareVector(vec);
+        }
 
         msgLogger.debug({
           table,
           column,
+          vectorType,
           metric,
           limit,
-          vectorDim: vec.length,
+          hybrid,
+          mmr,
+          queries: batch ? queries.length : 1,
+          reference,
+          vectorDim: vectorDimension(vec),
           hasFilter: !!filter,
         }, 'Starting similarity search');
 
-        // Normalize if configured
-        if (nodeNormalize || msg.normalize) {
-          vec = normalizeVector(vec);
-          msgLogger.debug('Vector normalized');
-        }
-
         // Build parameterized query
-        const { sql, params } = buildSimilarityQuery({
+        const queryOptions = {
           table,
           column,
           vector: vec,
+          type: vectorType,
           metric,
           limit,
           filter,
           whereSql,
+          whereParams,
           select,
-        });
+          minScore,
+          maxDistance,
+          idColumn,
+          offset,
+        };
+        if (hybrid && hasCursor) {
+          throw new Error('Cursor pagination is not available in hybrid mode; use msg.offset');
+        }
+        if (mmr && hybrid) {
+          throw new Error('MMR is not available in hybrid mode');
+        }
+        if (mmr && (hasCursor || Number(offset) > 0)) {
+          throw new Error('Pagination is not available with MMR; raise the limit instead');
+        }
+        if (batch && (hybrid || mmr || hasCursor || Number(offset) > 0)) {
+          throw new Error('Batch search does not support hybrid mode, MMR or pagination');
+        }
+        if (reference && (hybrid || mmr || hasCursor)) {
+          throw new Error('Search by id does not support hybrid mode, MMR or cursor pagination; use msg.offset');
+        }
+        let query;
+        if (batch) {
+          query = buildBatchSimilarityQuery({ ...queryOptions, queries });
+        } else if (reference) {
+          query = buildReferenceQuery({
+            ...queryOptions,
+            ids: referenceIds,
+            average: msg.averageReferences != null ? msg.averageReferences === true : nodeAverageReferences,
+          });
+        } else if (hybrid) {
+          query = buildHybridQuery({
+            ...queryOptions,
+            text,
+            textColumn: msg.textColumn || nodeTextColumn,
+            textColumnType: nodeTextColumnType,
+            textConfig: nodeTextConfig,
+            fusion: msg.fusion || nodeFusion,
+            rrfK: nodeRrfK || undefined,
+            vectorWeight: msg.vectorWeight != null ? msg.vectorWeight : (nodeVectorWeight || undefined),
+          });
+        } else {
+          query = buildSimilarityQuery({
+            ...queryOptions,
+            // MMR fetches extra candidates with their vectors and picks `limit` of them
+            limit: mmr ? resolveFetchK(limit, msg.fetchK != null ? msg.fetchK : nodeFetchK) : limit,
+            vectorAlias: mmr ? MMR_DEFAULTS.vectorColumn : undefined,
+            cursor: cursorMode ? msg.cursor : undefined,
+            stableOrder: cursorMode,
+          });
+        }
+        const { sql, params, limit: pageSize } = query;
+
+        // Index tuning is applied with SET LOCAL, so it only affects this query
+        const settings = buildSearchSettings(tuning);
 
         // Execute query with timeout and retry
-        node.status({ fill: 'blue', shape: 'dot', text: 'searching' });
+        node.status(poolStatus.busy(hybrid ? 'hybrid search' : 'searching'));
         const queryStart = Date.now();
 
-        const result = await queryWithRetry(pgConfig.pool, sql, params, {
+        const result = await queryWithRetry(pgConfig.getPool(POOL_INTENTS.READ), sql, params, {
           timeout,
-          maxRetries: 2,
-          retryDelay: 500,
+          retry: resolveRetryPolicy(pgConfig.retryPolicy, nodeRetry, msg.retry),
+          owner: node.id,
+          deadline: resolveDeadline(msg.deadline),
+          idempotent: true,
+          settings,
+          onRetry: (info) => {
+            msgLogger.warn({ error: info.error.message, nextRetryMs: info.delay },
+              `Query failed, retrying (attempt ${info.attempt}/${info.maxAttempts - 1})`);
+            poolStatus.retrying(info);
+          },
         });
 
         const queryDuration = Date.now() - queryStart;
@@ -168,14 +331,38 @@ module.exports = function registerSearchNode(RED) {
         recordQuery('search', totalDuration, true, table);
 
         // Send results
-        msg.payload = result.rows;
-        msg.rowCount = result.rows.length;
+        const rows = mmr
+          ? rerankMmr(result.rows, vec, {
+            limit: Number(limit) || pageSize,
+            lambda: msg.mmrLambda != null ? msg.mmrLambda : nodeMmrLambda,
+            type: vectorType,
+            metric,
+          })
+          : result.rows;
+        msg.payload = batch ? groupBatchResults(rows, queries) : rows;
+        msg.rowCount = rows.length;
         msg.queryDuration = queryDuration;
+
+        // A full page means there may be more; the next page starts after its last row.
+        // MMR and batch results are not paginated.
+        const fullPage = result.rows.length === pageSize;
+        if (mmr || batch) {
+          msg.nextOffset = null;
+        } else if (cursorMode) {
+          const last = result.rows[result.rows.length - 1];
+          // The cursor resumes after this row's id; a select that drops or renames it would repeat rows
+          if (last && last[idColumn] == null) {
+            throw new Error(`Cursor pagination needs the "${idColumn}" column in the results; include it in the select list or set the id column`);
+          }
+          msg.nextCursor = fullPage ? encodeCursor({ distance: last.distance, id: last[idColumn] }) : null;
+        } else {
+          msg.nextOffset = fullPage ? (Number(offset) || 0) + pageSize : null;
+        }
         send(msg);
-        node.status({});
+        node.status(poolStatus.idle());
 
         msgLogger.info({
-          rowCount: result.rows.length,
+          rowCount: rows.length,
           durationMs: totalDuration,
         }, 'Search completed successfully');
 
@@ -192,6 +379,8 @@ module.exports = function registerSearchNode(RED) {
           errorMsg = `Table "${table}" does not exist. Create it first using pgvector-admin node.`;
         } else if (err.code === '42703') {
           errorMsg = `Column "${column}" does not exist in table "${table}".`;
+        } else if (/iterative_scan|max_scan_tuples/.test(err.message || '')) {
+          errorMsg = `${err.message}. Iterative index scans need pgvector 0.8 or later.`;
         } else if (err.message?.includes('timeout')) {
           errorMsg = `Query timeout after ${timeout}ms. Try increasing timeout or simplifying query.`;
         } else if (err.message?.includes('dimension')) {
@@ -215,6 +404,11 @@ module.exports = function registerSearchNode(RED) {
         endSpan(span, err);
         done(err);
       }
+    }));
+
+    // Cancel this node's running queries server-side on redeploy or shutdown
+    node.on('close', (done) => {
+      cancelQueries({ owner: node.id }, 'node closed').then(() => done());
     });
   }
 
@@ -6,9 +6,12 @@
 
 'use strict';
 
-const { withClient } = require('../lib/client');
+const { withClientRetry, cancelQueries, resolveDeadline } = require('../lib/client');
+const { resolveRetryPolicy, retryOptionsFromConfig } = require('../lib/retry');
+const { attachPoolStatus } = require('../lib/pool-status');
+const { attachLimiter, limitInput } = require('../lib/limiter');
 const {
-  parseVector,
+  parseTypedVector,
   validateDimension,
   vectorLiteral,
   escapeIdentifier,
@@ -30,12 +33,18 @@ module.exports = function registerUpsertNode(RED) {
 
     // Cache configuration
     const pgConfig = RED.nodes.getNode(config.connection);
+    const limiter = attachLimiter(node, config, { onChange: () => poolStatus.refresh() });
+    const poolStatus = attachPoolStatus(node, pgConfig, { limiter });
     const nodeTable = config.table;
     const nodeColumn = config.column;
     const nodeIdColumn = config.idColumn || 'id';
     const nodeDimension = Number(config.dimension) || undefined;
+    const nodeVectorType = config.vectorType || 'vector';
+    const nodeVectorEncoding = config.vectorEncoding || 'float32';
+    const nodeStrictVectors = config.strictVectors || false;
+    const nodeRetry = retryOptionsFromConfig(config);
 
-    node.on('input', async (msg, send, done) => {
+    node.on('input', limitInput(node, limiter, async (msg, send, done) => {
       // Validate connection
       if (!pgConfig || !pgConfig.pool) {
         node.error('No pgvector config provided', msg);
@@ -54,6 +63,8 @@ module.exports = function registerUpsertNode(RED) {
       const table = msg.table || nodeTable;
       const column = msg.column || nodeColumn;
       const idColumn = msg.idColumn || nodeIdColumn;
+      const vectorType = msg.vectorType || nodeVectorType;
+      const vectorOptions = { strict: nodeStrictVectors, encoding: msg.vectorEncoding || nodeVectorEncoding };
       const record = msg.payload || msg.record;
 
       // Validate required fields
@@ -77,7 +88,7 @@ module.exports = function registerUpsertNode(RED) {
         const safeIdColumn = escapeIdentifier(idColumn);
 
         // Parse and validate vector
-        const vec = validateDimension(parseVector(record.vector), nodeDimension);
+        const vec = validateDimension(parseTypedVector(record.vector, vectorType, vectorOptions), nodeDimension);
 
         // Extract and escape field names (excluding vector)
         const fields = Object.keys(record).filter((k) => k !== 'vector');
@@ -97,21 +108,33 @@ module.exports = function registerUpsertNode(RED) {
           `ON CONFLICT (${safeIdColumn}) DO UPDATE SET ${updateParts.join(', ')} ` +
           `RETURNING *`;
 
-        const params = [vectorLiteral(vec), ...values];
+        const params = [vectorLiteral(vec, vectorType), ...values];
 
         // Execute upsert
-        node.status({ fill: 'blue', shape: 'dot', text: 'upserting' });
-        const result = await withClient(pgConfig.pool, (client) => client.query(sql, params));
+        node.status(poolStatus.busy('upserting'));
+        // ON CONFLICT makes the upsert safe to repeat after a lost connection
+        const result = await withClientRetry(pgConfig.pool, (client) => client.query(sql, params), {
+          retry: resolveRetryPolicy(pgConfig.retryPolicy, nodeRetry, msg.retry),
+          owner: node.id,
+          deadline: resolveDeadline(msg.deadline),
+          idempotent: true,
+          onRetry: poolStatus.retrying,
+        });
 
         msg.payload = result.rows[0];
         send(msg);
-        node.status({});
+        node.status(poolStatus.idle());
         done();
       } catch (err) {
         node.status({ fill: 'red', shape: 'ring', text: 'error' });
         node.error(err, msg);
         done(err);
       }
+    }));
+
+    // Cancel this node's running queries server-side on redeploy or shutdown
+    node.on('close', (done) => {
+      cancelQueries({ owner: node.id }, 'node closed').then(() => done());
     });
   }
 
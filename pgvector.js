@@ -20,4 +20,5 @@ module.exports = function registerPgvectorNodes(RED) {
   require('./nodes/pgvector-search')(RED);
   require('./nodes/pgvector-schema')(RED);
   require('./nodes/pgvector-admin')(RED);
+  require('./nodes/pgvector-health')(RED);
 };
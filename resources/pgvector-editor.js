@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Editor helpers shared by pgvector node dialogs.
+ * Served by Node-RED at resources/@nagual69/node-red-pgvector/pgvector-editor.js.
+ */
+
+/* global $ */
+(function () {
+  'use strict';
+
+  if (window.PgvectorEditor) {
+    return;
+  }
+
+  /**
+   * Fetches tables and vector columns for a deployed pgvector-config node.
+   * @param {string} configId - Config node id
+   * @returns {Promise<Array<object>>} Tables as `{schema, name, columns: [{name, type, dimension}]}`
+   */
+  function fetchTables(configId) {
+    return $.getJSON('pgvector-config/' + encodeURIComponent(configId) + '/tables')
+      .then(function (body) {
+        return body.tables || [];
+      });
+  }
+
+  /**
+   * Adds table and vector column autocomplete to a node dialog. Choosing a
+   * column fills in its vector type and dimension. Inputs stay free text, so
+   * tables that do not exist yet (or an undeployed connection) can still be typed.
+   *
+   * @param {object} options - jQuery selectors of the dialog inputs
+   * @param {string} options.connection - pgvector-config select
+   * @param {string} options.table - Table input
+   * @param {string} [options.column] - Vector column input
+   * @param {string} [options.dimension] - Dimension input
+   * @param {string} [options.type] - Vector type select
+   */
+  function attachCatalog(options) {
+    const $connection = $(options.connection);
+    const $table = $(options.table);
+    const $column = options.column ? $(options.column) : null;
+    const $dimension = options.dimension ? $(options.dimension) : null;
+    const $type = options.type ? $(options.type) : null;
+    let tables = [];
+
+    function findTable(name) {
+      return tables.find(function (t) { return t.name === name; });
+    }
+
+    function vectorColumns() {
+      const table = findTable($table.val());
+      return table ? table.columns : [];
+    }
+
+    function selectColumn(name) {
+      $column.val(name);
+      const column = vectorColumns().find(function (c) { return c.name === name; });
+      if ($dimension && column && column.dimension) {
+        $dimension.val(column.dimension);
+      }
+      if ($type && column && column.type) {
+        $type.val(column.type).trigger('change');
+      }
+    }
+
+    function matching(items, term) {
+      const needle = (term || '').toLowerCase();
+      return items.filter(function (item) {
+        return item.name.toLowerCase().indexOf(needle) !== -1;
+      });
+    }
+
+    function load() {
+      const configId = $connection.val();
+      tables = [];
+      if (!configId || configId === '_ADD_') {
+        return;
+      }
+      fetchTables(configId).then(function (result) {
+        tables = result;
+      }, function () {
+        // Connection not deployed or unreachable: keep plain text inputs
+        tables = [];
+      });
+    }
+
+    $table.autocomplete({
+      minLength: 0,
+      source: function (request, response) {
+        response(matching(tables, request.term).map(function (t) {
+          const columns = t.columns.map(function (c) { return c.name; }).join(', ');
+          return { label: t.name + (columns ? ' (' + columns + ')' : ''), value: t.name };
+        }));
+      },
+      select: function (event, ui) {
+        $table.val(ui.item.value);
+        // A table with a single vector column leaves nothing to choose
+        const columns = vectorColumns();
+        if ($column && columns.length === 1) {
+          selectColumn(columns[0].name);
+        }
+      },
+    }).on('focus', function () {
+      $table.autocomplete('search', $table.val());
+    });
+
+    if ($column) {
+      $column.autocomplete({
+        minLength: 0,
+        source: function (request, response) {
+          response(matching(vectorColumns(), request.term).map(function (c) {
+            const type = c.type || 'vector';
+            return { label: c.name + ' ' + type + (c.dimension ? '(' + c.dimension + ')' : ''), value: c.name };
+          }));
+        },
+        select: function (event, ui) {
+          event.preventDefault();
+          selectColumn(ui.item.value);
+        },
+      }).on('focus', function () {
+        $column.autocomplete('search', $column.val());
+      });
+    }
+
+    $connection.on('change', load);
+    load();
+  }
+
+  window.PgvectorEditor = {
+    attachCatalog: attachCatalog,
+  };
+})();
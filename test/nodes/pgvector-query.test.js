@@ -0,0 +1,110 @@
+/**
+ * Integration tests for pgvector-query node using node-red-node-test-helper.
+ * Tests read-only transactions and routing with a stubbed pool.
+ */
+
+const helper = require('node-red-node-test-helper');
+const assert = require('assert');
+const configNode = require('../../nodes/pgvector-config');
+const queryNode = require('../../nodes/pgvector-query');
+
+helper.init(require.resolve('node-red'));
+
+/**
+ * Loads a query node whose connection records the statements it receives
+ * instead of sending them to a database.
+ *
+ * @param {object} queryConfig - Properties merged into the query node
+ * @param {function(object, object, Array, Array): void} callback - Called with the query node,
+ *   the helper node, the recorded statements and the pool intents requested
+ */
+function loadWithClient(queryConfig, callback) {
+  const flow = [
+    {
+      id: 'config1',
+      type: 'pgvector-config',
+      host: 'localhost',
+      port: 5432,
+      database: 'testdb',
+    },
+    {
+      id: 'query1',
+      type: 'pgvector-query',
+      connection: 'config1',
+      wires: [['helper1']],
+      ...queryConfig,
+    },
+    { id: 'helper1', type: 'helper' },
+  ];
+
+  const credentials = {
+    config1: {
+      user: 'testuser',
+      password: 'testpass',
+    },
+  };
+
+  helper.load([configNode, queryNode], flow, credentials, function () {
+    const statements = [];
+    const intents = [];
+    const client = {
+      processID: 1,
+      query: async (sql) => {
+        statements.push(sql);
+        return { rows: [{ n: 1 }], rowCount: 1 };
+      },
+      release: () => {},
+    };
+    helper.getNode('config1').getPool = (intent) => {
+      intents.push(intent);
+      return { connect: async () => client };
+    };
+    callback(helper.getNode('query1'), helper.getNode('helper1'), statements, intents);
+  });
+}
+
+describe('pgvector-query node', function () {
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload().then(() => helper.stopServer(done));
+  });
+
+  describe('Read-only', function () {
+    it('should run read-only queries in a READ ONLY transaction', function (done) {
+      loadWithClient({ readOnly: true }, function (query, helperNode, statements, intents) {
+        helperNode.on('input', function (msg) {
+          try {
+            assert.deepStrictEqual(intents, ['read']);
+            // Even when the read pool falls back to the primary, a write in the SQL would fail
+            assert.deepStrictEqual(statements, ['BEGIN READ ONLY', 'SELECT 1 AS n', 'COMMIT']);
+            assert.deepStrictEqual(msg.payload, [{ n: 1 }]);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        query.receive({ sql: 'SELECT 1 AS n' });
+      });
+    });
+
+    it('should run other queries on the primary without a transaction', function (done) {
+      loadWithClient({ readOnly: true }, function (query, helperNode, statements, intents) {
+        helperNode.on('input', function () {
+          try {
+            assert.deepStrictEqual(intents, ['write']);
+            assert.deepStrictEqual(statements, ['DELETE FROM docs']);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        query.receive({ sql: 'DELETE FROM docs', readOnly: false });
+      });
+    });
+  });
+});
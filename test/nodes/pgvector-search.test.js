@@ -5,11 +5,68 @@
 
 const helper = require('node-red-node-test-helper');
 const assert = require('assert');
+const { decodeCursor } = require('../../lib/vector-utils');
 const configNode = require('../../nodes/pgvector-config');
 const searchNode = require('../../nodes/pgvector-search');
 
 helper.init(require.resolve('node-red'));
 
+/**
+ * Loads a search node whose connection answers the search query with the rows
+ * returned by `respond` instead of a database. Session statements (the
+ * statement timeout and its restore) are answered without calling it.
+ *
+ * @param {object} searchConfig - Properties merged into the search node
+ * @param {function(string, Array): Array} respond - Rows for a search query
+ * @param {function(object, object, Array): void} callback - Called with the search node,
+ *   the helper node and the list of `{sql, params}` queries it receives
+ */
+function loadWithRows(searchConfig, respond, callback) {
+  const flow = [
+    {
+      id: 'config1',
+      type: 'pgvector-config',
+      host: 'localhost',
+      port: 5432,
+      database: 'testdb',
+    },
+    {
+      id: 'search1',
+      type: 'pgvector-search',
+      connection: 'config1',
+      table: 'documents',
+      column: 'embedding',
+      wires: [['helper1']],
+      ...searchConfig,
+    },
+    { id: 'helper1', type: 'helper' },
+  ];
+
+  const credentials = {
+    config1: {
+      user: 'testuser',
+      password: 'testpass',
+    },
+  };
+
+  helper.load([configNode, searchNode], flow, credentials, function () {
+    const queries = [];
+    const client = {
+      processID: 1,
+      query: async (sql, params) => {
+        if (!params) {
+          return { rows: [{ previous: '0' }] };
+        }
+        queries.push({ sql, params });
+        return { rows: respond(sql, params) };
+      },
+      release: () => {},
+    };
+    helper.getNode('config1').getPool = () => ({ connect: async () => client });
+    callback(helper.getNode('search1'), helper.getNode('helper1'), queries);
+  });
+}
+
 describe('pgvector-search node', function () {
   beforeEach(function (done) {
     helper.startServer(done);
@@ -507,4 +564,183 @@ describe('pgvector-search node', function () {
       });
     });
   });
+
+  describe('Queries', function () {
+    it('should reject msg.where when the node does not allow it', function (done) {
+      loadWithRows({ allowMsgWhere: false }, () => [], function (search, helperNode, queries) {
+        helperNode.on('input', function () {
+          done(new Error('Should not send message when msg.where is not allowed'));
+        });
+        search.once('call:error', function (call) {
+          try {
+            assert.ok(call.args[0].includes('msg.where is not allowed'));
+            assert.strictEqual(queries.length, 0);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ where: '1=1) OR (1=1', payload: { vector: [0.1, 0.2, 0.3] } });
+      });
+    });
+
+    it('should still apply msg.filter when msg.where is not allowed', function (done) {
+      const rows = [{ id: 1, distance: 0.1 }];
+      loadWithRows({ allowMsgWhere: false }, () => rows, function (search, helperNode, queries) {
+        helperNode.on('input', function (msg) {
+          try {
+            assert.deepStrictEqual(msg.payload, rows);
+            assert.strictEqual(queries.length, 1);
+            assert.ok(queries[0].sql.includes('WHERE category = $2'));
+            assert.deepStrictEqual(queries[0].params.slice(1), ['tech']);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ filter: { category: 'tech' }, payload: { vector: [0.1, 0.2, 0.3] } });
+      });
+    });
+
+
+    it('should return the next offset for a full page and null for a short one', function (done) {
+      const pages = [[{ id: 1, distance: 0.1 }, { id: 2, distance: 0.2 }], [{ id: 3, distance: 0.3 }]];
+      loadWithRows({ limit: 2 }, () => pages.shift(), function (search, helperNode) {
+        const received = [];
+        helperNode.on('input', function (msg) {
+          received.push(msg);
+          if (received.length === 1) {
+            search.receive({ offset: msg.nextOffset, payload: { vector: [0.1, 0.2, 0.3] } });
+            return;
+          }
+          try {
+            assert.strictEqual(received[0].nextOffset, 2);
+            assert.strictEqual(received[1].nextOffset, null);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ payload: { vector: [0.1, 0.2, 0.3] } });
+      });
+    });
+
+    it('should continue cursor pages after the last row of a full page', function (done) {
+      const pages = [[{ id: 7, distance: 0.1 }, { id: 9, distance: 0.25 }], [{ id: 4, distance: 0.3 }]];
+      loadWithRows({ limit: 2, pagination: 'cursor' }, () => pages.shift(), function (search, helperNode, queries) {
+        const received = [];
+        helperNode.on('input', function (msg) {
+          received.push(msg);
+          if (received.length === 1) {
+            search.receive({ cursor: msg.nextCursor, payload: { vector: [0.1, 0.2, 0.3] } });
+            return;
+          }
+          try {
+            assert.deepStrictEqual(decodeCursor(received[0].nextCursor), { distance: 0.25, id: 9 });
+            assert.deepStrictEqual(queries[1].params.slice(1), [0.25, 9]);
+            assert.strictEqual(received[1].nextCursor, null);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ payload: { vector: [0.1, 0.2, 0.3] } });
+      });
+    });
+
+    it('should fail cursor pages whose rows lack the id column', function (done) {
+      const rows = [{ doc_id: 1, distance: 0.1 }];
+      loadWithRows({ limit: 1, pagination: 'cursor' }, () => rows, function (search, helperNode) {
+        helperNode.on('input', function () {
+          done(new Error('Should not send a page without ids'));
+        });
+        search.once('call:error', function (call) {
+          try {
+            assert.ok(call.args[0].includes('needs the "id" column'));
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ payload: { vector: [0.1, 0.2, 0.3] } });
+      });
+    });
+
+
+    it('should group batch results per query in input order', function (done) {
+      const rows = [
+        { query_index: 1, id: 5, distance: 0.4 },
+        { query_index: 0, id: 3, distance: 0.3 },
+        { query_index: 1, id: 6, distance: 0.2 },
+        { query_index: 0, id: 2, distance: 0.1 },
+      ];
+      loadWithRows({}, () => rows, function (search, helperNode, queries) {
+        helperNode.on('input', function (msg) {
+          try {
+            assert.strictEqual(queries.length, 1);
+            assert.deepStrictEqual(msg.payload, [
+              { index: 0, id: 'first', results: [{ id: 2, distance: 0.1 }, { id: 3, distance: 0.3 }] },
+              { index: 1, id: null, results: [{ id: 6, distance: 0.2 }, { id: 5, distance: 0.4 }] },
+            ]);
+            assert.strictEqual(msg.rowCount, 4);
+            assert.strictEqual(msg.nextOffset, null);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ payload: { vectors: [{ id: 'first', vector: [0.1, 0.2, 0.3] }, [0.3, 0.2, 0.1]] } });
+      });
+    });
+
+    it('should reject a reference search without ids', function (done) {
+      loadWithRows({}, () => [], function (search, helperNode, queries) {
+        helperNode.on('input', function () {
+          done(new Error('Should not send message without reference ids'));
+        });
+        search.once('call:error', function (call) {
+          try {
+            assert.ok(call.args[0].includes('Reference search requires one or more row ids'));
+            assert.strictEqual(queries.length, 0);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ mode: 'reference', payload: {} });
+      });
+    });
+
+    it('should search with the mean of the reference vectors when averaging', function (done) {
+      const rows = [{ id: 4, distance: 0.2 }];
+      loadWithRows({ averageReferences: true }, () => rows, function (search, helperNode, queries) {
+        const received = [];
+        helperNode.on('input', function (msg) {
+          received.push(msg);
+          if (received.length === 1) {
+            search.receive({ averageReferences: false, payload: { ids: [1, 2] } });
+            return;
+          }
+          try {
+            assert.deepStrictEqual(received[0].payload, rows);
+            assert.deepStrictEqual(queries[0].params[0], [1, 2]);
+            assert.ok(queries[0].sql.includes('SELECT avg(embedding) AS query_vector'));
+            assert.ok(!queries[1].sql.includes('avg('));
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        search.receive({ payload: { ids: [1, 2] } });
+      });
+    });
+  });
 });
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { listVectorTables, groupVectorColumns } = require('../../lib/catalog');
+
+describe('catalog', function () {
+  const rows = [
+    { table_schema: 'public', table_name: 'documents', column_name: 'embedding', dimension: 1536 },
+    { table_schema: 'public', table_name: 'documents', column_name: 'title_embedding', column_type: 'halfvec', dimension: null },
+    { table_schema: 'public', table_name: 'users', column_name: null, dimension: null },
+    { table_schema: 'vectors', table_name: 'documents', column_name: 'vec', dimension: '3' },
+  ];
+
+  describe('groupVectorColumns', function () {
+    it('should group vector columns by table', function () {
+      assert.deepStrictEqual(groupVectorColumns(rows), [
+        {
+          schema: 'public',
+          name: 'documents',
+          columns: [
+            { name: 'embedding', type: 'vector', dimension: 1536 },
+            { name: 'title_embedding', type: 'halfvec', dimension: null },
+          ],
+        },
+        { schema: 'public', name: 'users', columns: [] },
+        { schema: 'vectors', name: 'documents', columns: [{ name: 'vec', type: 'vector', dimension: 3 }] },
+      ]);
+    });
+
+    it('should return an empty list for no rows', function () {
+      assert.deepStrictEqual(groupVectorColumns([]), []);
+    });
+  });
+
+  describe('listVectorTables', function () {
+    it('should query the catalog on a pooled client', async function () {
+      const client = { query: sinon.stub().resolves({ rows }), release: sinon.spy() };
+      const pool = { connect: sinon.stub().resolves(client) };
+
+      const tables = await listVectorTables(pool);
+
+      assert.strictEqual(tables.length, 3);
+      assert.ok(client.query.calledWithMatch(sinon.match('pg_attribute')));
+      assert.ok(client.release.calledOnce);
+    });
+
+    it('should not leave its statement timeout on the pooled client', async function () {
+      let statementTimeout = '60000';
+      const client = {
+        query: sinon.stub().callsFake(async (sql) => {
+          const previous = statementTimeout;
+          const set = /statement_timeout(?: = |', ')(\d+)/.exec(sql);
+          if (set) {
+            statementTimeout = set[1];
+          }
+          return { rows: sql.includes('pg_attribute') ? rows : [{ previous }] };
+        }),
+        release: sinon.spy(),
+      };
+      const pool = { connect: sinon.stub().resolves(client) };
+
+      await listVectorTables(pool, { timeout: 10000 });
+
+      assert.strictEqual(statementTimeout, '60000');
+      assert.ok(client.release.calledOnce);
+    });
+  });
+});
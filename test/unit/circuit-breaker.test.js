@@ -0,0 +1,116 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const {
+  createCircuitBreaker,
+  CIRCUIT_STATES,
+  CIRCUIT_OPEN_CODE,
+} = require('../../lib/circuit-breaker');
+
+describe('circuit-breaker', function () {
+  let clock;
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  const failing = () => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+  async function tripBreaker(breaker, times) {
+    for (let i = 0; i < times; i++) {
+      await assert.rejects(() => breaker.execute(failing), { code: 'ECONNREFUSED' });
+    }
+  }
+
+  it('should pass calls through while closed', async function () {
+    const breaker = createCircuitBreaker();
+    assert.strictEqual(await breaker.execute(async () => 42), 42);
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should open after consecutive failures and fail fast', async function () {
+    const onStateChange = sinon.spy();
+    const breaker = createCircuitBreaker({ name: 'db:5432', failureThreshold: 3, onStateChange });
+    await tripBreaker(breaker, 3);
+
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+    assert.strictEqual(onStateChange.firstCall.args[0].state, CIRCUIT_STATES.OPEN);
+
+    const fn = sinon.stub().resolves('ok');
+    await assert.rejects(() => breaker.execute(fn), (err) => {
+      assert.strictEqual(err.code, CIRCUIT_OPEN_CODE);
+      assert.match(err.message, /Circuit breaker open for db:5432/);
+      return true;
+    });
+    assert.ok(fn.notCalled, 'Work should not run while open');
+  });
+
+  it('should reset the failure count after a success', async function () {
+    const breaker = createCircuitBreaker({ failureThreshold: 2 });
+    await tripBreaker(breaker, 1);
+    await breaker.execute(async () => 'ok');
+    await tripBreaker(breaker, 1);
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should ignore errors that are not failures', async function () {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, isFailure: (err) => err.code === 'ECONNREFUSED' });
+    const sqlError = Object.assign(new Error('relation does not exist'), { code: '42P01' });
+    await assert.rejects(() => breaker.execute(() => Promise.reject(sqlError)), { code: '42P01' });
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should close after a successful half-open probe', async function () {
+    const probe = sinon.stub().resolves(true);
+    const onStateChange = sinon.spy();
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeout: 1000, probe, onStateChange });
+    await tripBreaker(breaker, 1);
+
+    clock.tick(1000);
+    assert.strictEqual(await breaker.execute(async () => 'ok'), 'ok');
+
+    assert.ok(probe.calledOnce);
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+    assert.deepStrictEqual(onStateChange.args.map((a) => a[0].state), ['open', 'half-open', 'closed']);
+  });
+
+  it('should re-open when the half-open probe fails', async function () {
+    const probe = sinon.stub().resolves(false);
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeout: 1000, probe });
+    await tripBreaker(breaker, 1);
+
+    clock.tick(1500);
+    await assert.rejects(() => breaker.execute(async () => 'ok'), { code: CIRCUIT_OPEN_CODE });
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.OPEN);
+
+    // Cool-down restarts from the failed probe
+    clock.tick(500);
+    await assert.rejects(() => breaker.execute(async () => 'ok'), { code: CIRCUIT_OPEN_CODE });
+    assert.ok(probe.calledOnce);
+  });
+
+  it('should run a single probe for concurrent callers', async function () {
+    let resolveProbe;
+    const probe = sinon.stub().returns(new Promise((resolve) => { resolveProbe = resolve; }));
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeout: 1000, probe });
+    await tripBreaker(breaker, 1);
+    clock.tick(1000);
+
+    const first = breaker.execute(async () => 'first');
+    const second = breaker.execute(async () => 'second');
+    resolveProbe(true);
+
+    assert.strictEqual(await first, 'first');
+    await assert.rejects(second, { code: CIRCUIT_OPEN_CODE });
+    assert.ok(probe.calledOnce);
+  });
+
+  it('should be disabled with a threshold of 0', async function () {
+    const breaker = createCircuitBreaker({ failureThreshold: 0 });
+    await tripBreaker(breaker, 10);
+    assert.strictEqual(breaker.getState(), CIRCUIT_STATES.CLOSED);
+  });
+});
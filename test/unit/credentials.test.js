@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { createPasswordProvider, PASSWORD_SOURCES } = require('../../lib/credentials');
+
+describe('credentials', function () {
+  describe('createPasswordProvider', function () {
+    let tmpDir;
+
+    before(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgvector-cred-'));
+    });
+
+    after(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should return the static password as-is', function () {
+      assert.strictEqual(createPasswordProvider({ password: 'secret' }), 'secret');
+      assert.strictEqual(createPasswordProvider({ source: PASSWORD_SOURCES.STATIC, password: 'x' }), 'x');
+    });
+
+    it('should re-read a rotating password file for each call', async function () {
+      const file = path.join(tmpDir, 'password');
+      fs.writeFileSync(file, 'first\n');
+      const provide = createPasswordProvider({ source: 'file', file });
+
+      assert.strictEqual(await provide(), 'first');
+      fs.writeFileSync(file, 'second\n');
+      assert.strictEqual(await provide(), 'second');
+    });
+
+    it('should report a missing password file', async function () {
+      const provide = createPasswordProvider({ source: 'file', file: path.join(tmpDir, 'missing') });
+      await assert.rejects(provide, /Failed to obtain database password from file source: ENOENT/);
+    });
+
+    it('should use command output as the password', async function () {
+      const provide = createPasswordProvider({ source: 'command', command: 'echo token-123' });
+      assert.strictEqual(await provide(), 'token-123');
+    });
+
+    it('should report a failing command', async function () {
+      const provide = createPasswordProvider({ source: 'command', command: 'exit 3' });
+      await assert.rejects(provide, /command source: exited with code 3/);
+    });
+
+    it('should call the password function with connection context', async function () {
+      const fn = sinon.stub().resolves('from-fn');
+      const provide = createPasswordProvider({
+        source: 'function',
+        fn,
+        context: { host: 'db', user: 'app' },
+      });
+
+      assert.strictEqual(await provide(), 'from-fn');
+      assert.deepStrictEqual(fn.firstCall.args[0], { host: 'db', user: 'app' });
+    });
+
+    it('should reject empty passwords', async function () {
+      const provide = createPasswordProvider({ source: 'function', fn: () => '' });
+      await assert.rejects(provide, /returned an empty password/);
+    });
+
+    it('should cache passwords for the configured TTL', async function () {
+      const fn = sinon.stub();
+      fn.onFirstCall().returns('one');
+      fn.onSecondCall().returns('two');
+      const provide = createPasswordProvider({ source: 'function', fn, cacheTtl: 60000 });
+
+      assert.strictEqual(await provide(), 'one');
+      assert.strictEqual(await provide(), 'one');
+      assert.strictEqual(fn.callCount, 1);
+    });
+
+    it('should require the setting for each source', function () {
+      assert.throws(() => createPasswordProvider({ source: 'file' }), /Password file path is required/);
+      assert.throws(() => createPasswordProvider({ source: 'command' }), /Password command is required/);
+      assert.throws(() => createPasswordProvider({ source: 'function' }), /password function is required/);
+      assert.throws(() => createPasswordProvider({ source: 'vault' }), /Unsupported password source "vault"/);
+    });
+  });
+});
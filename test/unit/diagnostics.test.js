@@ -0,0 +1,70 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { runDiagnostics, diagnosticWarnings } = require('../../lib/diagnostics');
+
+describe('diagnostics', function () {
+  const baseRow = {
+    server_version: '16.2',
+    server_version_num: 160002,
+    database: 'vectors',
+    user: 'app',
+    schema: 'public',
+    superuser: false,
+    vector_version: '0.7.0',
+    vector_available: '0.7.0',
+    can_create_schema: false,
+    can_create_table: true,
+    can_use_schema: true,
+  };
+
+  function mockPool(row) {
+    const client = { query: sinon.stub().resolves({ rows: [row] }), release: sinon.spy() };
+    return { pool: { connect: sinon.stub().resolves(client) }, client };
+  }
+
+  describe('runDiagnostics', function () {
+    it('should report server, pgvector and privileges', async function () {
+      const { pool, client } = mockPool(baseRow);
+      const report = await runDiagnostics(pool, { timeout: 2000 });
+
+      assert.strictEqual(report.serverVersion, '16.2');
+      assert.strictEqual(report.serverVersionNum, 160002);
+      assert.strictEqual(report.user, 'app');
+      assert.deepStrictEqual(report.pgvector, { installed: true, version: '0.7.0', available: '0.7.0' });
+      assert.deepStrictEqual(report.privileges, { createSchema: false, createTable: true, useSchema: true });
+      assert.deepStrictEqual(report.warnings, []);
+      assert.ok(report.latencyMs >= 0);
+      assert.ok(client.query.firstCall.args[0].includes("set_config('statement_timeout', '2000', false)"));
+      assert.ok(client.release.calledOnce);
+    });
+
+    it('should propagate connection errors', async function () {
+      const pool = { connect: sinon.stub().rejects(new Error('password authentication failed for user "app"')) };
+      await assert.rejects(() => runDiagnostics(pool), /password authentication failed/);
+    });
+  });
+
+  describe('diagnosticWarnings', function () {
+    it('should suggest create-extension when pgvector is available but not installed', function () {
+      const warnings = diagnosticWarnings({ ...baseRow, vector_version: null, can_create_schema: true });
+      assert.strictEqual(warnings.length, 1);
+      assert.match(warnings[0], /pgvector 0\.7\.0 is available but not installed in "vectors"/);
+    });
+
+    it('should warn when pgvector is missing from the server', function () {
+      const warnings = diagnosticWarnings({ ...baseRow, vector_version: null, vector_available: null, superuser: true });
+      assert.deepStrictEqual(warnings, ['pgvector is not available on this server; install the extension package first']);
+    });
+
+    it('should warn when the user may not create the extension', function () {
+      const warnings = diagnosticWarnings({ ...baseRow, vector_version: null });
+      assert.ok(warnings.some((w) => /may not be allowed to create extensions/.test(w)));
+    });
+
+    it('should warn about missing schema privileges', function () {
+      assert.match(diagnosticWarnings({ ...baseRow, can_create_table: false })[0], /cannot create tables in schema "public"/);
+      assert.match(diagnosticWarnings({ ...baseRow, can_use_schema: false })[0], /no USAGE privilege/);
+      assert.match(diagnosticWarnings({ ...baseRow, schema: null })[0], /No schema on the search path/);
+    });
+  });
+});
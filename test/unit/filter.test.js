@@ -0,0 +1,142 @@
+const assert = require('assert');
+const { compileFilter, bindWhereParams } = require('../../lib/filter');
+
+function compile(filter, params = ['[1,2,3]']) {
+  return { sql: compileFilter(filter, params), params: params.slice(1) };
+}
+
+describe('filter', function () {
+  describe('compileFilter', function () {
+    it('should return an empty string for no filter', function () {
+      assert.strictEqual(compileFilter(undefined, []), '');
+      assert.strictEqual(compileFilter({}, []), '');
+    });
+
+    it('should compile plain values to equality after existing params', function () {
+      const { sql, params } = compile({ category: 'tech', year: 2024 });
+      assert.strictEqual(sql, 'category = $2 AND year = $3');
+      assert.deepStrictEqual(params, ['tech', 2024]);
+    });
+
+    it('should compile null to IS NULL', function () {
+      assert.strictEqual(compile({ deleted_at: null }).sql, 'deleted_at IS NULL');
+      assert.strictEqual(compile({ deleted_at: { $ne: null } }).sql, 'deleted_at IS NOT NULL');
+    });
+
+    it('should compile comparison operators', function () {
+      const { sql, params } = compile({ year: { $gte: 2020, $lt: 2025 }, title: { $like: 'Intro%' } });
+      assert.strictEqual(sql, '(year >= $2 AND year < $3) AND title LIKE $4');
+      assert.deepStrictEqual(params, [2020, 2025, 'Intro%']);
+    });
+
+    it('should let $ne and $nin match missing values', function () {
+      assert.strictEqual(compile({ status: { $ne: 'draft' } }).sql, 'status IS DISTINCT FROM $2');
+      const { sql, params } = compile({ status: { $nin: ['draft', 'archived'] } });
+      assert.strictEqual(sql, '(status = ANY($2)) IS NOT TRUE');
+      assert.deepStrictEqual(params, [['draft', 'archived']]);
+    });
+
+    it('should compile $in and short-circuit empty lists', function () {
+      assert.strictEqual(compile({ lang: { $in: ['en', 'de'] } }).sql, 'lang = ANY($2)');
+      assert.strictEqual(compile({ lang: { $in: [] } }).sql, 'FALSE');
+      assert.strictEqual(compile({ lang: { $nin: [] } }).sql, 'TRUE');
+    });
+
+    it('should compare JSONB paths as JSONB with the path as a parameter', function () {
+      const { sql, params } = compile({ 'metadata.author': 'Ada', 'metadata.stats.views': { $gt: 100 } });
+      assert.strictEqual(sql,
+        '(metadata #> $2::text[]) = to_jsonb($3::text) AND ' +
+        "(jsonb_typeof((metadata #> $4::text[])) = 'number' AND (metadata #> $4::text[]) > to_jsonb($5::numeric))");
+      assert.deepStrictEqual(params, [['author'], 'Ada', ['stats', 'views'], 100]);
+    });
+
+    it('should bind JSONB values by type for booleans and lists', function () {
+      assert.strictEqual(compile({ 'metadata.published': true }).sql,
+        '(metadata #> $2::text[]) = to_jsonb($3::boolean)');
+      assert.strictEqual(compile({ 'metadata.rank': { $in: [1, 2] } }).sql,
+        '(metadata #> $2::text[]) = ANY(SELECT jsonb_array_elements(to_jsonb($3::numeric[])))');
+      assert.strictEqual(compile({ 'metadata.status': { $ne: 'draft' } }).sql,
+        '(metadata #> $2::text[]) IS DISTINCT FROM to_jsonb($3::text)');
+    });
+
+    it('should never cast mixed-type metadata to the value type', function () {
+      // A key holding "n/a" in one row and 2021 in another must not abort with 22P02
+      const { sql } = compile({ 'metadata.year': { $gte: 2020, $lt: 2025 }, 'metadata.title': { $like: 'Intro%' } });
+      assert.ok(!/#>>[^)]*\)::/.test(sql), sql);
+      assert.strictEqual(sql,
+        "((jsonb_typeof((metadata #> $2::text[])) = 'number' AND (metadata #> $2::text[]) >= to_jsonb($3::numeric)) AND " +
+        "(jsonb_typeof((metadata #> $2::text[])) = 'number' AND (metadata #> $2::text[]) < to_jsonb($4::numeric))) AND " +
+        '(metadata #>> $5::text[]) LIKE $6');
+    });
+
+    it('should compile $exists for columns and JSONB keys', function () {
+      assert.strictEqual(compile({ summary: { $exists: true } }).sql, 'summary IS NOT NULL');
+      assert.strictEqual(compile({ 'metadata.author': { $exists: false } }).sql,
+        'NOT (metadata #> $2::text[] IS NOT NULL)');
+    });
+
+    it('should combine $and, $or and $not', function () {
+      const { sql, params } = compile({
+        $or: [{ category: 'tech' }, { $and: [{ category: 'science' }, { year: { $gte: 2020 } }] }],
+        $not: { 'metadata.author': 'Anonymous' },
+      });
+      assert.strictEqual(sql,
+        '(category = $2 OR (category = $3 AND year >= $4)) AND NOT ((metadata #> $5::text[]) = to_jsonb($6::text))');
+      assert.deepStrictEqual(params, ['tech', 'science', 2020, ['author'], 'Anonymous']);
+    });
+
+    it('should escape identifiers and never interpolate values', function () {
+      const { sql, params } = compile({ 'my col': "x'; DROP TABLE t; --", 'meta"data.a\'b': 1 });
+      assert.strictEqual(sql, '"my col" = $2 AND ("meta""data" #> $3::text[]) = to_jsonb($4::numeric)');
+      assert.deepStrictEqual(params, ["x'; DROP TABLE t; --", ["a'b"], 1]);
+    });
+
+    it('should reject unknown operators and invalid values', function () {
+      assert.throws(() => compile({ year: { $between: [1, 2] } }), /Unknown filter operator "\$between" on field "year"/);
+      assert.throws(() => compile({ $nor: [] }), /Unknown filter operator "\$nor"/);
+      assert.throws(() => compile({ $or: [] }), /\$or requires a non-empty array/);
+      assert.throws(() => compile({ lang: { $in: 'en' } }), /\$in requires an array/);
+      assert.throws(() => compile({ year: { $gt: [1] } }), /\$gt requires a string, number or boolean/);
+      assert.throws(() => compile({ title: { $like: 5 } }), /\$like requires a string pattern/);
+      assert.throws(() => compile({ 'metadata.': 'x' }), /Invalid filter field "metadata\."/);
+      assert.throws(() => compile({ 'metadata.tags': ['a'] }), /can only be compared with strings, numbers or booleans/);
+      assert.throws(() => compile('category = 1'), /Filter must be an object/);
+    });
+  });
+
+  describe('bindWhereParams', function () {
+    it('should leave the clause alone without whereParams', function () {
+      const params = ['v'];
+      assert.strictEqual(bindWhereParams('year > 2020', undefined, params), 'year > 2020');
+      assert.deepStrictEqual(params, ['v']);
+    });
+
+    it('should renumber positional placeholders after existing params', function () {
+      const params = ['v', 'tech'];
+      const sql = bindWhereParams('year > $1 AND (author = $2 OR editor = $2)', [2020, 'Ada'], params);
+      assert.strictEqual(sql, 'year > $3 AND (author = $4 OR editor = $4)');
+      assert.deepStrictEqual(params, ['v', 'tech', 2020, 'Ada']);
+    });
+
+    it('should bind named placeholders and keep casts', function () {
+      const params = ['v'];
+      const sql = bindWhereParams('created_at > :since::date AND author = :author', { since: '2024-01-01', author: 'Ada' }, params);
+      assert.strictEqual(sql, 'created_at > $2::date AND author = $3');
+      assert.deepStrictEqual(params, ['v', '2024-01-01', 'Ada']);
+    });
+
+    it('should skip placeholders inside strings and quoted identifiers', function () {
+      const params = ['v'];
+      const sql = bindWhereParams('note <> \':name\' AND "col:name" = :name AND "a$1" IS NULL', { name: 'x' }, params);
+      assert.strictEqual(sql, 'note <> \':name\' AND "col:name" = $2 AND "a$1" IS NULL');
+      assert.deepStrictEqual(params, ['v', 'x']);
+    });
+
+    it('should reject missing and mismatched placeholders', function () {
+      assert.throws(() => bindWhereParams('a = $2', [1], []), /whereParams has no value for \$2/);
+      assert.throws(() => bindWhereParams('a = :b', {}, []), /whereParams has no value for :b/);
+      assert.throws(() => bindWhereParams('a = $1', { a: 1 }, []), /needs whereParams to be an array/);
+      assert.throws(() => bindWhereParams('a = $1', 'x', []), /whereParams must be an array/);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { createHealthMonitor, POOL_STATES } = require('../../lib/health');
+const { statusForState } = require('../../lib/pool-status');
+
+describe('health', function () {
+  describe('createHealthMonitor', function () {
+    const pool = {};
+
+    it('should start in unknown state', function () {
+      const monitor = createHealthMonitor({ pool, interval: 0, probe: sinon.stub().resolves(true) });
+      assert.strictEqual(monitor.getState(), POOL_STATES.UNKNOWN);
+    });
+
+    it('should report connected after a successful probe', async function () {
+      const onStateChange = sinon.spy();
+      const monitor = createHealthMonitor({
+        pool,
+        interval: 0,
+        probe: sinon.stub().resolves(true),
+        onStateChange,
+      });
+
+      assert.strictEqual(await monitor.check(), POOL_STATES.CONNECTED);
+      assert.ok(onStateChange.calledOnce);
+      assert.strictEqual(onStateChange.firstCall.args[0].state, POOL_STATES.CONNECTED);
+      assert.strictEqual(onStateChange.firstCall.args[0].previous, POOL_STATES.UNKNOWN);
+    });
+
+    it('should report down when the probe fails or throws', async function () {
+      const monitor = createHealthMonitor({ pool, interval: 0, probe: sinon.stub().resolves(false) });
+      assert.strictEqual(await monitor.check(), POOL_STATES.DOWN);
+
+      const throwing = createHealthMonitor({ pool, interval: 0, probe: sinon.stub().rejects(new Error('boom')) });
+      assert.strictEqual(await throwing.check(), POOL_STATES.DOWN);
+    });
+
+    it('should report degraded when the probe is slow', async function () {
+      const clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+      try {
+        const probe = sinon.stub().callsFake(async () => {
+          clock.tick(250);
+          return true;
+        });
+        const monitor = createHealthMonitor({ pool, interval: 0, slowThreshold: 100, probe });
+        assert.strictEqual(await monitor.check(), POOL_STATES.DEGRADED);
+        assert.strictEqual(monitor.getLastResult().latencyMs, 250);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should only notify on state changes', async function () {
+      const onStateChange = sinon.spy();
+      const probe = sinon.stub().resolves(true);
+      const monitor = createHealthMonitor({ pool, interval: 0, probe, onStateChange });
+
+      await monitor.check();
+      await monitor.check();
+      probe.resolves(false);
+      await monitor.check();
+
+      assert.strictEqual(onStateChange.callCount, 2);
+      assert.strictEqual(onStateChange.secondCall.args[0].state, POOL_STATES.DOWN);
+      assert.strictEqual(onStateChange.secondCall.args[0].previous, POOL_STATES.CONNECTED);
+    });
+
+    it('should probe on an interval until stopped', function () {
+      const clock = sinon.useFakeTimers();
+      try {
+        const probe = sinon.stub().resolves(true);
+        const monitor = createHealthMonitor({ pool, interval: 1000, probe });
+
+        assert.strictEqual(probe.callCount, 1, 'Should probe immediately');
+        clock.tick(2000);
+        assert.strictEqual(probe.callCount, 3);
+
+        monitor.stop();
+        clock.tick(5000);
+        assert.strictEqual(probe.callCount, 3);
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('statusForState', function () {
+    it('should map pool states to node status badges', function () {
+      assert.deepStrictEqual(statusForState(POOL_STATES.UNKNOWN), {});
+      assert.strictEqual(statusForState(POOL_STATES.CONNECTED).fill, 'green');
+      assert.strictEqual(statusForState(POOL_STATES.DEGRADED).fill, 'yellow');
+      assert.strictEqual(statusForState(POOL_STATES.DOWN).text, 'db down');
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const {
+  createLimiter,
+  attachLimiter,
+  limitInput,
+  limiterOptionsFromConfig,
+  LIMITER_DEFAULTS,
+  QUEUE_FULL_CODE,
+  QUEUE_DROPPED_CODE,
+  QUEUE_CLEARED_CODE,
+} = require('../../lib/limiter');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function fakeNode() {
+  const node = new EventEmitter();
+  node.id = 'n1';
+  node.error = sinon.spy();
+  node.warn = sinon.spy();
+  return node;
+}
+
+describe('limiter', function () {
+  describe('createLimiter', function () {
+    it('should run everything at once by default', async function () {
+      const limiter = createLimiter();
+      const gates = [deferred(), deferred(), deferred()];
+      const runs = gates.map((gate) => limiter.run(() => gate.promise));
+
+      await flush();
+      assert.strictEqual(limiter.getActive(), 3);
+      assert.strictEqual(limiter.getQueued(), 0);
+      gates.forEach((gate, i) => gate.resolve(i));
+      assert.deepStrictEqual(await Promise.all(runs), [0, 1, 2]);
+    });
+
+    it('should queue beyond the concurrency limit in order', async function () {
+      const limiter = createLimiter({ concurrency: 1 });
+      const order = [];
+      const first = deferred();
+      const runs = [
+        limiter.run(() => first.promise.then(() => order.push('a'))),
+        limiter.run(async () => order.push('b')),
+        limiter.run(async () => order.push('c')),
+      ];
+
+      await flush();
+      assert.strictEqual(limiter.getActive(), 1);
+      assert.strictEqual(limiter.getQueued(), 2);
+      first.resolve();
+      await Promise.all(runs);
+      assert.deepStrictEqual(order, ['a', 'b', 'c']);
+      assert.strictEqual(limiter.getActive(), 0);
+    });
+
+    it('should free the slot when a task fails', async function () {
+      const limiter = createLimiter({ concurrency: 1 });
+      const failing = limiter.run(async () => {
+        throw new Error('boom');
+      });
+      const next = limiter.run(async () => 'ok');
+
+      await assert.rejects(failing, /boom/);
+      assert.strictEqual(await next, 'ok');
+    });
+
+    it('should reject new tasks when full with the reject policy', async function () {
+      const limiter = createLimiter({ concurrency: 1, queueSize: 1, overflow: 'reject' });
+      const gate = deferred();
+      const running = limiter.run(() => gate.promise);
+      const queued = limiter.run(async () => 'queued');
+
+      await assert.rejects(limiter.run(async () => 'late'), (err) => err.code === QUEUE_FULL_CODE);
+      gate.resolve();
+      await running;
+      assert.strictEqual(await queued, 'queued');
+    });
+
+    it('should drop the oldest queued task with the drop-oldest policy', async function () {
+      const limiter = createLimiter({ concurrency: 1, queueSize: 1, overflow: 'drop-oldest' });
+      const gate = deferred();
+      const running = limiter.run(() => gate.promise);
+      const oldest = limiter.run(async () => 'oldest');
+      const newest = limiter.run(async () => 'newest');
+
+      await assert.rejects(oldest, (err) => err.code === QUEUE_DROPPED_CODE);
+      assert.strictEqual(limiter.getQueued(), 1);
+      gate.resolve();
+      await running;
+      assert.strictEqual(await newest, 'newest');
+    });
+
+    it('should bound the queue by default', async function () {
+      const limiter = createLimiter({ concurrency: 1, queueSize: 1 });
+      const gate = deferred();
+      const running = limiter.run(() => gate.promise);
+      const queued = limiter.run(async () => 'queued');
+
+      await assert.rejects(limiter.run(async () => 'late'), (err) => err.code === QUEUE_FULL_CODE);
+      assert.strictEqual(limiter.getQueued(), 1);
+      gate.resolve();
+      await running;
+      assert.strictEqual(await queued, 'queued');
+    });
+
+    it('should reject new tasks from a full queue with the wait policy', async function () {
+      const limiter = createLimiter({ concurrency: 1, queueSize: 1, overflow: 'wait' });
+      const gate = deferred();
+      const running = limiter.run(() => gate.promise);
+      const queued = limiter.run(async () => 1);
+
+      assert.strictEqual(limiter.isOverloaded(), true);
+      await assert.rejects(limiter.run(async () => 2), (err) => err.code === QUEUE_FULL_CODE);
+      assert.strictEqual(limiter.getQueued(), 1);
+      gate.resolve();
+      await running;
+      assert.strictEqual(await queued, 1);
+      assert.strictEqual(limiter.isOverloaded(), false);
+    });
+
+    it('should fail queued tasks on clear and leave running ones alone', async function () {
+      const limiter = createLimiter({ concurrency: 1 });
+      const gate = deferred();
+      const running = limiter.run(() => gate.promise);
+      const queued = limiter.run(async () => 'never');
+
+      assert.strictEqual(limiter.clear('node closed'), 1);
+      await assert.rejects(queued, (err) => err.code === QUEUE_CLEARED_CODE && /node closed/.test(err.message));
+      gate.resolve('done');
+      assert.strictEqual(await running, 'done');
+    });
+
+    it('should report active and queued counts on change', async function () {
+      const onChange = sinon.spy();
+      const limiter = createLimiter({ concurrency: 1, onChange });
+      const gate = deferred();
+      const running = limiter.run(() => gate.promise);
+      limiter.run(async () => {});
+
+      assert.deepStrictEqual(onChange.lastCall.args[0], { active: 1, queued: 1 });
+      gate.resolve();
+      await running;
+      await flush();
+      assert.deepStrictEqual(onChange.lastCall.args[0], { active: 0, queued: 0 });
+    });
+
+    it('should reject invalid settings', function () {
+      assert.throws(() => createLimiter({ concurrency: -1 }), /Invalid concurrency "-1"/);
+      assert.throws(() => createLimiter({ concurrency: 1.5 }), /Invalid concurrency/);
+      assert.throws(() => createLimiter({ queueSize: -5 }), /Invalid queue size/);
+      assert.throws(() => createLimiter({ overflow: 'discard' }), /Invalid overflow policy "discard"/);
+    });
+  });
+
+  describe('limiterOptionsFromConfig', function () {
+    it('should skip blank fields and convert numbers', function () {
+      assert.deepStrictEqual(limiterOptionsFromConfig({ concurrency: '', queueSize: '50', overflow: 'reject' }),
+        { queueSize: 50, overflow: 'reject' });
+      assert.deepStrictEqual(limiterOptionsFromConfig({}), {});
+    });
+  });
+
+  describe('attachLimiter', function () {
+    it('should fall back to no limit on invalid settings', function () {
+      const node = fakeNode();
+      const limiter = attachLimiter(node, { concurrency: 'abc' });
+
+      assert.ok(node.error.calledOnce);
+      assert.match(node.error.firstCall.args[0], /Invalid concurrency "NaN".*running without a concurrency limit/);
+      assert.strictEqual(limiter.overflow, LIMITER_DEFAULTS.overflow);
+    });
+
+    it('should discard queued messages when the node closes', async function () {
+      const node = fakeNode();
+      const limiter = attachLimiter(node, { concurrency: '1' });
+      const gate = deferred();
+      limiter.run(() => gate.promise);
+      const queued = limiter.run(async () => {});
+
+      node.emit('close');
+      await assert.rejects(queued, (err) => err.code === QUEUE_CLEARED_CODE);
+      assert.ok(node.warn.calledWithMatch(/Discarded 1 queued message/));
+      gate.resolve();
+    });
+  });
+
+  describe('limitInput', function () {
+    it('should report overflow errors against the rejected message', async function () {
+      const node = fakeNode();
+      const limiter = attachLimiter(node, { concurrency: '1', queueSize: '0', overflow: 'reject' });
+      const gate = deferred();
+      const handler = sinon.spy(() => gate.promise);
+      const input = limitInput(node, limiter, handler);
+      const done = sinon.spy();
+
+      input({ _msgid: 'a' }, () => {}, () => {});
+      input({ _msgid: 'b' }, () => {}, done);
+      await flush();
+
+      assert.ok(handler.calledOnce);
+      assert.ok(node.error.calledOnce);
+      assert.strictEqual(node.error.firstCall.args[1]._msgid, 'b');
+      assert.strictEqual(done.firstCall.args[0].code, QUEUE_FULL_CODE);
+      gate.resolve();
+    });
+
+    it('should complete messages discarded on close without an error', async function () {
+      const node = fakeNode();
+      const limiter = attachLimiter(node, { concurrency: '1' });
+      const gate = deferred();
+      const input = limitInput(node, limiter, () => gate.promise);
+      const done = sinon.spy();
+
+      input({}, () => {}, () => {});
+      input({}, () => {}, done);
+      node.emit('close');
+      await flush();
+
+      assert.ok(done.calledOnceWithExactly());
+      assert.ok(node.error.notCalled);
+      gate.resolve();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { rerankMmr, resolveFetchK, cosineSimilarity } = require('../../lib/mmr');
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+}
+
+describe('mmr', function () {
+  describe('cosineSimilarity', function () {
+    it('should compare dense, sparse and bit vectors', function () {
+      assertClose(cosineSimilarity([1, 0], [1, 1]), Math.SQRT1_2);
+      assertClose(cosineSimilarity(
+        { indices: [0, 3], values: [1, 1], dim: 5 },
+        { indices: [3], values: [2], dim: 5 }
+      ), Math.SQRT1_2);
+      assertClose(cosineSimilarity('1100', '1010'), 0.5);
+    });
+
+    it('should return 0 for zero vectors', function () {
+      assert.strictEqual(cosineSimilarity([0, 0], [1, 1]), 0);
+    });
+  });
+
+  describe('resolveFetchK', function () {
+    it('should default to four times the limit, at least 20', function () {
+      assert.strictEqual(resolveFetchK(10), 40);
+      assert.strictEqual(resolveFetchK(3, ''), 20);
+    });
+
+    it('should never fetch fewer candidates than the limit', function () {
+      assert.strictEqual(resolveFetchK(10, 5), 10);
+      assert.strictEqual(resolveFetchK(10, '30'), 30);
+    });
+
+    it('should reject invalid values', function () {
+      assert.throws(() => resolveFetchK(10, 0), /Invalid fetchK "0"/);
+      assert.throws(() => resolveFetchK(10, 2.5), /positive whole number/);
+    });
+  });
+
+  describe('rerankMmr', function () {
+    // Two near-duplicates of the query and one different but still relevant row
+    const rows = [
+      { id: 1, distance: 0.01, mmr_vector: '[1,0.1,0]' },
+      { id: 2, distance: 0.02, mmr_vector: '[1,0.12,0]' },
+      { id: 3, distance: 0.3, mmr_vector: '[0.6,0,0.8]' },
+    ];
+
+    it('should push near-duplicates below diverse results', function () {
+      const picked = rerankMmr(rows, [1, 0, 0], { limit: 2, lambda: 0.5 });
+      assert.deepStrictEqual(picked.map((row) => row.id), [1, 3]);
+    });
+
+    it('should keep the similarity order with lambda 1', function () {
+      const picked = rerankMmr(rows, [1, 0, 0], { limit: 3, lambda: 1 });
+      assert.deepStrictEqual(picked.map((row) => row.id), [1, 2, 3]);
+    });
+
+    it('should report the score components and drop the vector column', function () {
+      const [first, second] = rerankMmr(rows, [1, 0, 0], { limit: 2, lambda: 0.5 });
+      assert.ok(!('mmr_vector' in first));
+      assert.strictEqual(first.mmr_redundancy, 0);
+      // Relevance is the cosine score of the distance the search returned
+      assertClose(first.mmr_relevance, 0.99);
+      assert.strictEqual(first.mmr_score, 0.5 * first.mmr_relevance);
+      assertClose(second.mmr_relevance, 0.7);
+      assertClose(second.mmr_redundancy, 0.6 / Math.sqrt(1.01));
+      assertClose(second.mmr_score, 0.5 * second.mmr_relevance - 0.5 * second.mmr_redundancy);
+    });
+
+    it('should read sparse and bit candidates', function () {
+      const sparse = rerankMmr([{ id: 1, mmr_vector: '{1:1,3:1}/4' }], { indices: [0], values: [1], dim: 4 }, { type: 'sparsevec' });
+      assertClose(sparse[0].mmr_relevance, Math.SQRT1_2);
+      // Bit columns default to hamming: one of four bits differs
+      const bits = rerankMmr([{ id: 1, mmr_vector: '1010' }], '1000', { type: 'bit' });
+      assertClose(bits[0].mmr_relevance, 0.75);
+    });
+
+    it('should score relevance and redundancy with the search metric', function () {
+      const l2Rows = [
+        { id: 1, distance: 1, mmr_vector: '[1,0]' },
+        { id: 2, distance: Math.sqrt(1.04), mmr_vector: '[1,0.2]' },
+        { id: 3, distance: 1.5, mmr_vector: '[0,-1.5]' },
+      ];
+      const [first, second] = rerankMmr(l2Rows, [0, 0], { limit: 2, lambda: 0.5, metric: 'l2' });
+      // 1 / (1 + distance) for both the query distance and the distance to the first pick
+      assert.strictEqual(first.mmr_relevance, 0.5);
+      assert.strictEqual(second.id, 3);
+      assertClose(second.mmr_relevance, 0.4);
+      assertClose(second.mmr_redundancy, 1 / (1 + Math.sqrt(3.25)));
+
+      const ip = rerankMmr([{ id: 1, mmr_vector: '[2,3]' }], [1, 1], { metric: 'inner-product' });
+      assertClose(ip[0].mmr_relevance, 5);
+      const jaccard = rerankMmr([{ id: 1, mmr_vector: '1100' }], '1010', { type: 'bit', metric: 'jaccard' });
+      assertClose(jaccard[0].mmr_relevance, 1 / 3);
+    });
+
+    it('should reject invalid lambdas and missing vectors', function () {
+      assert.throws(() => rerankMmr(rows, [1, 0, 0], { lambda: 2 }), /Invalid MMR lambda "2"/);
+      assert.throws(() => rerankMmr([{ id: 1 }], [1, 0, 0]), /missing its vector column "mmr_vector"/);
+      assert.throws(() => rerankMmr(rows, [1, 0, 0], { metric: 'hamming' }), /not supported for vector columns/);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { createPoolRouter, parseHostList, POOL_INTENTS } = require('../../lib/pool-router');
+
+describe('pool-router', function () {
+  describe('parseHostList', function () {
+    it('should return empty list for empty input', function () {
+      assert.deepStrictEqual(parseHostList(''), []);
+      assert.deepStrictEqual(parseHostList(undefined), []);
+    });
+
+    it('should parse hosts with and without ports', function () {
+      assert.deepStrictEqual(parseHostList('replica-1, replica-2:5433\nreplica-3', 6432), [
+        { host: 'replica-1', port: 6432 },
+        { host: 'replica-2', port: 5433 },
+        { host: 'replica-3', port: 6432 },
+      ]);
+    });
+
+    it('should parse bracketed IPv6 addresses', function () {
+      assert.deepStrictEqual(parseHostList('[::1]:5433'), [{ host: '::1', port: 5433 }]);
+    });
+
+    it('should reject invalid ports', function () {
+      assert.throws(() => parseHostList('replica-1:70000'), /Invalid port for replica/);
+    });
+  });
+
+  describe('createPoolRouter', function () {
+    const primary = { name: 'primary' };
+    const replicaA = { name: 'a' };
+    const replicaB = { name: 'b' };
+
+    function createRouter(healthCheck, onHealthChange) {
+      return createPoolRouter({
+        primary,
+        replicas: [{ name: 'a', pool: replicaA }, { name: 'b', pool: replicaB }],
+        healthCheckInterval: 0,
+        healthCheck,
+        onHealthChange,
+      });
+    }
+
+    it('should always use the primary for writes', function () {
+      const router = createRouter(sinon.stub().resolves(true));
+      assert.strictEqual(router.getPool(), primary);
+      assert.strictEqual(router.getPool(POOL_INTENTS.WRITE), primary);
+    });
+
+    it('should use the primary for reads when there are no replicas', function () {
+      const router = createPoolRouter({ primary });
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), primary);
+    });
+
+    it('should round-robin reads across replicas', function () {
+      const router = createRouter(sinon.stub().resolves(true));
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), replicaA);
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), replicaB);
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), replicaA);
+    });
+
+    it('should skip replicas that fail their health check', async function () {
+      const healthCheck = sinon.stub().callsFake(async (pool) => pool !== replicaA);
+      const onHealthChange = sinon.spy();
+      const router = createRouter(healthCheck, onHealthChange);
+
+      await router.checkReplicas();
+
+      assert.ok(onHealthChange.calledOnceWith('a', false));
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), replicaB);
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), replicaB);
+      assert.deepStrictEqual(router.getReplicaStatus(), [
+        { name: 'a', healthy: false },
+        { name: 'b', healthy: true },
+      ]);
+    });
+
+    it('should fall back to the primary when all replicas are down', async function () {
+      const router = createRouter(sinon.stub().resolves(false));
+      await router.checkReplicas();
+      assert.strictEqual(router.getPool(POOL_INTENTS.READ), primary);
+    });
+
+    it('should route to a replica again once it recovers', async function () {
+      const healthCheck = sinon.stub().resolves(false);
+      const onHealthChange = sinon.spy();
+      const router = createRouter(healthCheck, onHealthChange);
+
+      await router.checkReplicas();
+      healthCheck.resolves(true);
+      await router.checkReplicas();
+
+      assert.strictEqual(onHealthChange.callCount, 4);
+      assert.notStrictEqual(router.getPool(POOL_INTENTS.READ), primary);
+    });
+
+    it('should not leave the probe timeout on replica connections', async function () {
+      let statementTimeout = '0';
+      const client = {
+        query: sinon.stub().callsFake(async (sql) => {
+          const previous = statementTimeout;
+          const set = /statement_timeout(?: = |', ')(\d+)/.exec(sql);
+          if (set) {
+            statementTimeout = set[1];
+          }
+          return { rows: [{ previous }] };
+        }),
+        release: sinon.spy(),
+      };
+      const replica = { connect: sinon.stub().resolves(client) };
+      const router = createPoolRouter({ primary, replicas: [{ name: 'a', pool: replica }], healthCheckInterval: 0 });
+
+      await router.checkReplicas();
+
+      assert.ok(client.query.calledWith('SELECT 1'));
+      assert.strictEqual(statementTimeout, '0');
+      assert.ok(client.release.calledOnce);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const {
+  withRetry,
+  classifyError,
+  isRetryableError,
+  resolveRetryPolicy,
+  retryOptionsFromConfig,
+  computeRetryDelay,
+  RETRY_DEFAULTS,
+  RETRY_CLASSES,
+} = require('../../lib/retry');
+
+function pgError(code, message = `error ${code}`) {
+  return Object.assign(new Error(message), { code });
+}
+
+describe('retry', function () {
+  describe('classifyError', function () {
+    it('should always retry serialization failures, deadlocks and resource errors', function () {
+      for (const code of ['40001', '40P01', '53300', '53200', '57P03', '08001', '08004', 'ECONNREFUSED', 'ENOTFOUND']) {
+        assert.strictEqual(classifyError(pgError(code)), RETRY_CLASSES.SAFE, code);
+      }
+    });
+
+    it('should only retry lost connections for idempotent work', function () {
+      for (const code of ['08006', '08003', '57P01', '57P02', 'ECONNRESET', 'ETIMEDOUT']) {
+        assert.strictEqual(classifyError(pgError(code)), RETRY_CLASSES.IDEMPOTENT, code);
+      }
+      assert.strictEqual(classifyError(new Error('Connection terminated unexpectedly')), RETRY_CLASSES.IDEMPOTENT);
+    });
+
+    it('should treat pool connect timeouts as safe', function () {
+      assert.strictEqual(classifyError(new Error('timeout exceeded when trying to connect')), RETRY_CLASSES.SAFE);
+    });
+
+    it('should never retry permanent errors', function () {
+      for (const code of ['42601', '42P01', '23505', '28P01', '42501', '57014', 'ECIRCUITOPEN']) {
+        assert.strictEqual(classifyError(pgError(code)), RETRY_CLASSES.NONE, code);
+      }
+      assert.strictEqual(classifyError(new Error('statement timeout')), RETRY_CLASSES.NONE);
+      assert.strictEqual(classifyError(undefined), RETRY_CLASSES.NONE);
+    });
+  });
+
+  describe('isRetryableError', function () {
+    it('should respect idempotency', function () {
+      assert.strictEqual(isRetryableError(pgError('ECONNRESET')), false);
+      assert.strictEqual(isRetryableError(pgError('ECONNRESET'), true), true);
+      assert.strictEqual(isRetryableError(pgError('40001')), true);
+      assert.strictEqual(isRetryableError(pgError('23505'), true), false);
+    });
+  });
+
+  describe('resolveRetryPolicy', function () {
+    it('should return the defaults', function () {
+      assert.deepStrictEqual(resolveRetryPolicy(), RETRY_DEFAULTS);
+    });
+
+    it('should let later layers win and skip blank values', function () {
+      const policy = resolveRetryPolicy(
+        { maxAttempts: 5, baseDelay: 100 },
+        retryOptionsFromConfig({ retryMaxAttempts: '', retryBaseDelay: '250', retryJitter: '0' }),
+        { maxAttempts: 2 }
+      );
+      assert.deepStrictEqual(policy, { maxAttempts: 2, baseDelay: 250, maxDelay: RETRY_DEFAULTS.maxDelay, jitter: 0 });
+    });
+
+    it('should reject invalid settings', function () {
+      assert.throws(() => resolveRetryPolicy({ maxAttempts: 0 }), /Invalid retry maxAttempts "0"/);
+      assert.throws(() => resolveRetryPolicy({ maxAttempts: 1.5 }), /maxAttempts/);
+      assert.throws(() => resolveRetryPolicy({ baseDelay: -1 }), /baseDelay/);
+      assert.throws(() => resolveRetryPolicy({ jitter: 2 }), /jitter/);
+      assert.throws(() => resolveRetryPolicy({ maxDelay: 'soon' }), /maxDelay/);
+    });
+  });
+
+  describe('computeRetryDelay', function () {
+    const policy = { maxAttempts: 5, baseDelay: 100, maxDelay: 1000, jitter: 0.5 };
+
+    it('should back off exponentially', function () {
+      const noJitter = { ...policy, jitter: 0 };
+      assert.deepStrictEqual([1, 2, 3].map((a) => computeRetryDelay(noJitter, a)), [100, 200, 400]);
+    });
+
+    it('should apply jitter in both directions', function () {
+      assert.strictEqual(computeRetryDelay(policy, 2, () => 0), 100);
+      assert.strictEqual(computeRetryDelay(policy, 2, () => 0.999999), 300);
+    });
+
+    it('should cap the delay', function () {
+      assert.strictEqual(computeRetryDelay(policy, 10, () => 0.999999), 1000);
+    });
+  });
+
+  describe('withRetry', function () {
+    const fast = { baseDelay: 1, jitter: 0 };
+
+    it('should return the first successful result', async function () {
+      const fn = sinon.stub();
+      fn.onFirstCall().rejects(pgError('40P01'));
+      fn.onSecondCall().resolves('ok');
+      const onRetry = sinon.spy();
+
+      assert.strictEqual(await withRetry(fn, { policy: fast, onRetry }), 'ok');
+      assert.deepStrictEqual(fn.args, [[1], [2]]);
+      assert.ok(onRetry.calledOnce);
+      assert.strictEqual(onRetry.firstCall.args[0].attempt, 1);
+      assert.strictEqual(onRetry.firstCall.args[0].maxAttempts, 3);
+    });
+
+    it('should stop after maxAttempts', async function () {
+      const fn = sinon.stub().rejects(pgError('40001'));
+      await assert.rejects(() => withRetry(fn, { policy: { ...fast, maxAttempts: 4 } }), { code: '40001' });
+      assert.strictEqual(fn.callCount, 4);
+    });
+
+    it('should not retry lost connections unless idempotent', async function () {
+      const fn = sinon.stub().rejects(pgError('ECONNRESET'));
+      await assert.rejects(() => withRetry(fn, { policy: fast }), { code: 'ECONNRESET' });
+      assert.strictEqual(fn.callCount, 1);
+
+      fn.resetHistory();
+      await assert.rejects(() => withRetry(fn, { policy: fast, idempotent: true }), { code: 'ECONNRESET' });
+      assert.strictEqual(fn.callCount, 3);
+    });
+
+    it('should not retry permanent errors', async function () {
+      const fn = sinon.stub().rejects(pgError('23505'));
+      await assert.rejects(() => withRetry(fn, { policy: fast, idempotent: true }), { code: '23505' });
+      assert.strictEqual(fn.callCount, 1);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { buildSearchSettings } = require('../../lib/search-settings');
+
+describe('search-settings', function () {
+  describe('buildSearchSettings', function () {
+    it('should return null when nothing is set', function () {
+      assert.strictEqual(buildSearchSettings(), null);
+      assert.strictEqual(buildSearchSettings({ efSearch: '', probes: null, iterativeScan: '' }), null);
+    });
+
+    it('should map options to pgvector settings', function () {
+      assert.deepStrictEqual(buildSearchSettings({ efSearch: '200', probes: 10, maxScanTuples: 50000 }), {
+        'hnsw.ef_search': 200,
+        'ivfflat.probes': 10,
+        'hnsw.max_scan_tuples': 50000,
+      });
+    });
+
+    it('should set iterative scans for both index types', function () {
+      assert.deepStrictEqual(buildSearchSettings({ iterativeScan: 'relaxed_order' }), {
+        'hnsw.iterative_scan': 'relaxed_order',
+        'ivfflat.iterative_scan': 'relaxed_order',
+      });
+      // IVFFlat has no strict ordering
+      assert.deepStrictEqual(buildSearchSettings({ iterativeScan: 'strict_order' }), {
+        'hnsw.iterative_scan': 'strict_order',
+      });
+    });
+
+    it('should reject out of range values and unknown modes', function () {
+      assert.throws(() => buildSearchSettings({ efSearch: 0 }), /Invalid efSearch "0": must be a whole number from 1 to 1000/);
+      assert.throws(() => buildSearchSettings({ efSearch: 1001 }), /Invalid efSearch/);
+      assert.throws(() => buildSearchSettings({ probes: 2.5 }), /Invalid probes "2.5"/);
+      assert.throws(() => buildSearchSettings({ iterativeScan: 'fast' }), /Invalid iterativeScan "fast": use off, strict_order, relaxed_order/);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const pg = require('pg');
+const {
+  createVectorTypeParsers,
+  createVectorParser,
+  VECTOR_TYPE_OIDS_SQL,
+} = require('../../lib/type-parsers');
+
+describe('type-parsers', function () {
+  describe('createVectorParser', function () {
+    it('should parse dense vectors to arrays', function () {
+      assert.deepStrictEqual(createVectorParser('vector', 'array')('[0.5,-1,2e-3]'), [0.5, -1, 0.002]);
+      assert.deepStrictEqual(createVectorParser('halfvec', 'array')('[]'), []);
+    });
+
+    it('should emit Float32Array and base64', function () {
+      const floats = createVectorParser('vector', 'float32array')('[1,2.5]');
+      assert.ok(floats instanceof Float32Array);
+      assert.deepStrictEqual(Array.from(floats), [1, 2.5]);
+
+      const base64 = createVectorParser('halfvec', 'base64')('[1,2.5]');
+      assert.strictEqual(base64, Buffer.from(new Float32Array([1, 2.5]).buffer).toString('base64'));
+    });
+
+    it('should parse sparse vectors to 0-based objects in every format', function () {
+      const expected = { indices: [0, 2], values: [0.5, 0.25], dim: 5 };
+      assert.deepStrictEqual(createVectorParser('sparsevec', 'array')('{1:0.5,3:0.25}/5'), expected);
+      assert.deepStrictEqual(createVectorParser('sparsevec', 'base64')('{1:0.5,3:0.25}/5'), expected);
+    });
+  });
+
+  describe('createVectorTypeParsers', function () {
+    it('should use vector parsers for resolved OIDs and pg defaults otherwise', async function () {
+      const parsers = createVectorTypeParsers('array');
+      const client = {
+        query: sinon.stub().resolves({ rows: [{ oid: 16390, typname: 'vector' }, { oid: 16470, typname: 'sparsevec' }] }),
+      };
+
+      assert.strictEqual(parsers.types.getTypeParser(16390), pg.types.getTypeParser(16390, 'text'));
+      await parsers.resolve(client);
+
+      assert.ok(client.query.calledOnceWith(VECTOR_TYPE_OIDS_SQL));
+      assert.deepStrictEqual(parsers.getOids(), { vector: 16390, sparsevec: 16470 });
+      assert.deepStrictEqual(parsers.types.getTypeParser(16390)('[1,2]'), [1, 2]);
+      assert.deepStrictEqual(parsers.types.getTypeParser(16470, 'text')('{2:1}/3'), { indices: [1], values: [1], dim: 3 });
+      assert.strictEqual(parsers.types.getTypeParser(23), pg.types.getTypeParser(23, 'text'));
+    });
+
+    it('should leave vectors as text when the lookup fails', async function () {
+      const parsers = createVectorTypeParsers();
+      await parsers.resolve({ query: sinon.stub().rejects(new Error('permission denied')) });
+      assert.deepStrictEqual(parsers.getOids(), {});
+    });
+
+    it('should reject unknown formats', function () {
+      assert.throws(() => createVectorTypeParsers('float16'), /Invalid vector output "float16"/);
+      assert.throws(() => createVectorTypeParsers('text'), /Invalid vector output "text"/);
+    });
+  });
+});
@@ -1,12 +1,26 @@
 const assert = require('assert');
 const {
   parseVector,
+  parseSparseVector,
+  parseBitVector,
+  parseTypedVector,
   normalizeVector,
   validateDimension,
   vectorLiteral,
+  resolveMetricOperator,
+  resolveOpclass,
+  INDEX_OPCLASSES,
   buildSimilarityQuery,
+  buildHybridQuery,
+  buildBatchSimilarityQuery,
+  groupBatchResults,
+  buildReferenceQuery,
+  resolveReferenceIds,
+  scoreExpression,
   escapeIdentifier,
   escapeSelectClause,
+  encodeCursor,
+  decodeCursor,
 } = require('../../lib/vector-utils');
 
 describe('vector-utils', function () {
@@ -60,6 +74,44 @@ describe('vector-utils', function () {
       const result = parseVector('1, abc, 3');
       assert.deepStrictEqual(result, [1, 3]);
     });
+
+    it('should reject invalid elements with their index in strict mode', function () {
+      assert.throws(() => parseVector('1, abc, 3', { strict: true }), /Invalid vector element at index 1: " abc"/);
+      assert.throws(() => parseVector([1, NaN], { strict: true }), /index 1: NaN/);
+      assert.throws(() => parseVector([1, 2, Infinity], { strict: true }), /index 2: Infinity/);
+      assert.throws(() => parseVector('[1, null]', { strict: true }), /index 1: null/);
+      assert.throws(() => parseVector('1,,2', { strict: true }), /index 1: ""/);
+      assert.deepStrictEqual(parseVector(['1', 2], { strict: true }), [1, 2]);
+    });
+
+    it('should parse typed arrays and Buffers', function () {
+      assert.deepStrictEqual(parseVector(new Float32Array([1, 2])), [1, 2]);
+      assert.deepStrictEqual(parseVector(new Float64Array([0.1, 0.2])), [0.1, 0.2]);
+      assert.deepStrictEqual(parseVector(Buffer.from(new Float32Array([1.5, -2]).buffer)), [1.5, -2]);
+      assert.deepStrictEqual(parseVector(new Float64Array([0.1]).buffer, { encoding: 'float64' }), [0.1]);
+    });
+
+    it('should decode base64 float16 and float64 with an encoding hint', function () {
+      const half = Buffer.from([0x00, 0x3c, 0x00, 0xc0, 0x00, 0x35]).toString('base64'); // 1, -2, 0.3125
+      assert.deepStrictEqual(parseVector(half, { encoding: 'float16' }), [1, -2, 0.3125]);
+      const double = Buffer.from(new Float64Array([0.1, 0.2]).buffer).toString('base64');
+      assert.deepStrictEqual(parseVector(double, { encoding: 'float64' }), [0.1, 0.2]);
+      assert.throws(() => parseVector(half, { encoding: 'float64' }), /6 bytes is not a whole number of float64 values/);
+      assert.throws(() => parseVector(half, { encoding: 'int8' }), /Unsupported vector encoding "int8"/);
+    });
+
+    it('should parse pgvector text and Postgres array literals', function () {
+      assert.deepStrictEqual(parseVector('[.5,1.,-2e-1]'), [0.5, 1, -0.2]);
+      assert.deepStrictEqual(parseVector('{1,2.5,3}'), [1, 2.5, 3]);
+      assert.deepStrictEqual(parseVector('[]'), []);
+    });
+
+    it('should unwrap embedding API responses', function () {
+      assert.deepStrictEqual(parseVector({ data: [{ object: 'embedding', embedding: [0.1, 0.2], index: 0 }] }), [0.1, 0.2]);
+      assert.deepStrictEqual(parseVector({ embedding: '[1,2]' }), [1, 2]);
+      assert.throws(() => parseVector({ data: [{ embedding: [1] }, { embedding: [2] }] }), /contains 2 embeddings/);
+      assert.throws(() => parseVector({ data: [{}] }), /has no embedding/);
+    });
   });
 
   describe('normalizeVector', function () {
@@ -181,6 +233,128 @@ describe('vector-utils', function () {
     });
   });
 
+  describe('parseSparseVector', function () {
+    it('should accept indices, values and dim, sorting and dropping zeros', function () {
+      assert.deepStrictEqual(
+        parseSparseVector({ indices: [4, 0, 2], values: [0.2, 0.5, 0], dim: 5 }),
+        { indices: [0, 4], values: [0.5, 0.2], dim: 5 }
+      );
+    });
+
+    it('should parse pgvector text format with 1-based indices', function () {
+      assert.deepStrictEqual(parseSparseVector('{1:0.5,3:0.2}/5'), { indices: [0, 2], values: [0.5, 0.2], dim: 5 });
+      assert.deepStrictEqual(parseSparseVector('{}/3'), { indices: [], values: [], dim: 3 });
+    });
+
+    it('should convert dense vectors', function () {
+      assert.deepStrictEqual(parseSparseVector([0.5, 0, 0.2]), { indices: [0, 2], values: [0.5, 0.2], dim: 3 });
+    });
+
+    it('should reject malformed sparse vectors', function () {
+      assert.throws(() => parseSparseVector({ indices: [0], values: [1, 2], dim: 3 }), /1 indices but 2 values/);
+      assert.throws(() => parseSparseVector({ indices: [3], values: [1], dim: 3 }), /index 3 is out of range/);
+      assert.throws(() => parseSparseVector({ indices: [1, 1], values: [1, 2], dim: 3 }), /appears more than once/);
+      assert.throws(() => parseSparseVector({ indices: [0], values: [1] }), /positive dim/);
+      assert.throws(() => parseSparseVector({ values: [1], dim: 3 }), /indices and values arrays/);
+    });
+  });
+
+  describe('parseBitVector', function () {
+    it('should accept bit strings, arrays and buffers', function () {
+      assert.strictEqual(parseBitVector(' 1010 '), '1010');
+      assert.strictEqual(parseBitVector([1, 0, true, false]), '1010');
+      assert.strictEqual(parseBitVector(Buffer.from([0xf0, 0x01])), '1111000000000001');
+    });
+
+    it('should reject non-binary input', function () {
+      assert.throws(() => parseBitVector('1021'), /Unsupported bit vector format/);
+      assert.throws(() => parseBitVector([1, 2]), /must be 0, 1 or booleans/);
+    });
+  });
+
+  describe('parseTypedVector', function () {
+    it('should dispatch on the vector type', function () {
+      assert.deepStrictEqual(parseTypedVector('[1,2]', 'halfvec'), [1, 2]);
+      assert.deepStrictEqual(parseTypedVector('{2:1}/2', 'sparsevec'), { indices: [1], values: [1], dim: 2 });
+      assert.strictEqual(parseTypedVector([1, 0], 'bit'), '10');
+      assert.deepStrictEqual(parseTypedVector([1, 2]), [1, 2]);
+    });
+
+    it('should reject unknown types', function () {
+      assert.throws(() => parseTypedVector([1], 'float8'), /Unsupported vector type "float8"/);
+    });
+  });
+
+  describe('typed vectors', function () {
+    it('should format literals for each type', function () {
+      assert.strictEqual(vectorLiteral([1, 2], 'halfvec'), '[1,2]');
+      assert.strictEqual(vectorLiteral({ indices: [0, 2], values: [1, 3], dim: 5 }, 'sparsevec'), '{1:1,3:3}/5');
+      assert.strictEqual(vectorLiteral([0, 2, 0], 'sparsevec'), '{2:2}/3');
+      assert.strictEqual(vectorLiteral('1010', 'bit'), '1010');
+    });
+
+    it('should validate dimensions of sparse and bit vectors', function () {
+      const sparse = { indices: [0], values: [1], dim: 5 };
+      assert.strictEqual(validateDimension(sparse, 5), sparse);
+      assert.throws(() => validateDimension(sparse, 4), /dimension 5 does not match expected 4/);
+      assert.strictEqual(validateDimension('1010', 4), '1010');
+    });
+
+    it('should normalize sparse vector values', function () {
+      assert.deepStrictEqual(normalizeVector({ indices: [0, 3], values: [3, 4], dim: 5 }), { indices: [0, 3], values: [0.6, 0.8], dim: 5 });
+      assert.strictEqual(normalizeVector('1010'), '1010');
+    });
+
+    it('should resolve operators per type', function () {
+      assert.strictEqual(resolveMetricOperator('halfvec', 'l2'), '<->');
+      assert.strictEqual(resolveMetricOperator('bit', 'hamming'), '<~>');
+      assert.strictEqual(resolveMetricOperator('bit', 'jaccard'), '<%>');
+      assert.strictEqual(resolveMetricOperator('bit'), '<~>');
+      assert.throws(() => resolveMetricOperator('bit', 'cosine'), /"cosine" is not supported for bit columns/);
+      assert.throws(() => resolveMetricOperator('sparsevec', 'hamming'), /not supported for sparsevec/);
+      assert.throws(() => resolveMetricOperator('bit', 'l1'), /not supported for bit/);
+      assert.strictEqual(resolveMetricOperator('sparsevec', 'l1'), '<+>');
+      assert.throws(() => resolveMetricOperator('vector', 'toString'), /Unknown metric "toString"/);
+    });
+
+    it('should resolve index operator classes per method, type and metric', function () {
+      for (const [method, types] of Object.entries(INDEX_OPCLASSES)) {
+        for (const [type, opclasses] of Object.entries(types)) {
+          for (const [metric, opclass] of Object.entries(opclasses)) {
+            assert.strictEqual(resolveOpclass(method, type, metric), opclass, `${method} ${type} ${metric}`);
+          }
+        }
+      }
+      assert.strictEqual(resolveOpclass('hnsw', 'vector', 'cosine'), 'vector_cosine_ops');
+      assert.strictEqual(resolveOpclass('hnsw', 'halfvec', 'inner-product'), 'halfvec_ip_ops');
+      assert.strictEqual(resolveOpclass('hnsw', 'sparsevec', 'l2'), 'sparsevec_l2_ops');
+      assert.strictEqual(resolveOpclass('hnsw', 'bit', 'jaccard'), 'bit_jaccard_ops');
+      assert.strictEqual(resolveOpclass('ivfflat', 'bit', 'hamming'), 'bit_hamming_ops');
+    });
+
+    it('should resolve L1 operator classes for HNSW only', function () {
+      assert.strictEqual(resolveOpclass('hnsw', 'vector', 'l1'), 'vector_l1_ops');
+      assert.strictEqual(resolveOpclass('hnsw', 'halfvec', 'l1'), 'halfvec_l1_ops');
+      assert.strictEqual(resolveOpclass('hnsw', 'sparsevec', 'l1'), 'sparsevec_l1_ops');
+      assert.throws(() => resolveOpclass('ivfflat', 'vector', 'l1'), /ivfflat indexes on vector columns do not support the l1 metric/);
+      assert.throws(() => resolveOpclass('ivfflat', 'halfvec', 'l1'), /ivfflat indexes on halfvec columns do not support the l1 metric/);
+      assert.throws(() => resolveOpclass('hnsw', 'bit', 'l1'), /not supported for bit/);
+    });
+
+    it('should default index operator classes to the type metric', function () {
+      assert.strictEqual(resolveOpclass('hnsw', 'vector'), 'vector_cosine_ops');
+      assert.strictEqual(resolveOpclass('ivfflat', 'halfvec', ''), 'halfvec_cosine_ops');
+      assert.strictEqual(resolveOpclass('hnsw', 'bit'), 'bit_hamming_ops');
+    });
+
+    it('should reject index operator classes the method or type cannot use', function () {
+      assert.throws(() => resolveOpclass('ivfflat', 'sparsevec', 'cosine'), /ivfflat indexes do not support sparsevec columns; use create-hnsw/);
+      assert.throws(() => resolveOpclass('hnsw', 'bit', 'cosine'), /"cosine" is not supported for bit columns/);
+      assert.throws(() => resolveOpclass('ivfflat', 'bit', 'jaccard'), /do not support the jaccard metric; use hamming/);
+      assert.throws(() => resolveOpclass('hnsw', 'vector', 'hamming'), /not supported for vector/);
+    });
+  });
+
   describe('buildSimilarityQuery', function () {
     it('should build query with cosine metric', function () {
       const { sql, params } = buildSimilarityQuery({
@@ -240,6 +414,17 @@ describe('vector-utils', function () {
       assert.strictEqual(params[1], 'tech');
     });
 
+    it('should compile filter operators and JSONB paths', function () {
+      const { sql, params } = buildSimilarityQuery({
+        table: 'embeddings',
+        column: 'vector',
+        vector: [0.1, 0.2, 0.3],
+        filter: { year: { $gte: 2020 }, 'metadata.author': 'Ada' },
+      });
+      assert.ok(sql.includes('WHERE year >= $2 AND (metadata #> $3::text[]) = to_jsonb($4::text)'));
+      assert.deepStrictEqual(params.slice(1), [2020, ['author'], 'Ada']);
+    });
+
     it('should add custom WHERE clause', function () {
       const { sql } = buildSimilarityQuery({
         table: 'embeddings',
@@ -305,5 +490,362 @@ describe('vector-utils', function () {
       assert.ok(sql.includes('id'));
       assert.ok(sql.includes('title'));
     });
+
+    it('should cast the query vector to halfvec and sparsevec', function () {
+      const half = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1, 0.2], type: 'halfvec' });
+      assert.ok(half.sql.includes('c <=> $1::halfvec'));
+
+      const sparse = buildSimilarityQuery({
+        table: 't',
+        column: 'c',
+        vector: { indices: [1], values: [0.5], dim: 3 },
+        type: 'sparsevec',
+        metric: 'inner-product',
+      });
+      assert.ok(sparse.sql.includes('c <#> $1::sparsevec'));
+      assert.strictEqual(sparse.params[0], '{2:0.5}/3');
+    });
+
+    it('should search bit columns with hamming or jaccard distance', function () {
+      const { sql, params } = buildSimilarityQuery({ table: 't', column: 'c', vector: '1010', type: 'bit', metric: 'jaccard' });
+      // Uncast: ::bit would mean bit(1)
+      assert.ok(sql.includes('c <%> $1 AS similarity'));
+      assert.deepStrictEqual(params, ['1010']);
+      assert.ok(buildSimilarityQuery({ table: 't', column: 'c', vector: '1010', type: 'bit' }).sql.includes('<~>'));
+    });
+
+    it('should return distance, score and the deprecated similarity alias', function () {
+      const { sql } = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1] });
+      assert.ok(sql.includes('c <=> $1::vector AS distance'));
+      assert.ok(sql.includes('1 - (c <=> $1::vector) AS score'));
+      assert.ok(sql.includes('c <=> $1::vector AS similarity'));
+      assert.ok(sql.includes('ORDER BY c <=> $1::vector ASC'));
+    });
+
+    it('should order by the distance expression so a distance column cannot clash', function () {
+      const { sql } = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], maxDistance: 0.5 });
+      assert.ok(sql.includes('WHERE (c <=> $1::vector) <= $2'));
+      assert.ok(sql.endsWith('ORDER BY c <=> $1::vector ASC LIMIT 10'));
+      assert.doesNotMatch(sql, /ORDER BY distance|WHERE distance/);
+    });
+
+    it('should score each metric so that higher is more similar', function () {
+      const score = (metric, type = 'vector', vector = [0.1]) =>
+        buildSimilarityQuery({ table: 't', column: 'c', vector, type, metric }).sql.match(/AS distance, (.*) AS score/)[1];
+      assert.strictEqual(score('inner-product'), '(c <#> $1::vector) * -1');
+      assert.strictEqual(score('l2'), '1 / (1 + (c <-> $1::vector))');
+      assert.strictEqual(score('l1'), '1 / (1 + (c <+> $1::vector))');
+      assert.strictEqual(score('hamming', 'bit', '10101010'), '1 - (c <~> $1) / 8');
+      assert.strictEqual(score('jaccard', 'bit', '1010'), '1 - (c <%> $1)');
+    });
+
+    it('should enforce minScore and maxDistance in SQL', function () {
+      const { sql, params } = buildSimilarityQuery({
+        table: 't',
+        column: 'c',
+        vector: [0.1],
+        filter: { category: 'tech' },
+        minScore: '0.8',
+        maxDistance: 0.3,
+      });
+      assert.ok(sql.includes('WHERE category = $2 AND (c <=> $1::vector) <= $3 AND (1 - (c <=> $1::vector)) >= $4'));
+      assert.deepStrictEqual(params.slice(1), ['tech', 0.3, 0.8]);
+    });
+
+    it('should bind whereParams after filter params and before thresholds', function () {
+      const { sql, params } = buildSimilarityQuery({
+        table: 't',
+        column: 'c',
+        vector: [0.1],
+        filter: { category: 'tech' },
+        whereSql: 'year > :year',
+        whereParams: { year: 2020 },
+        maxDistance: 0.3,
+      });
+      assert.ok(sql.includes('WHERE category = $2 AND (year > $3) AND (c <=> $1::vector) <= $4'));
+      assert.deepStrictEqual(params.slice(1), ['tech', 2020, 0.3]);
+    });
+
+    it('should add an offset and report the applied limit', function () {
+      const { sql, limit } = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], limit: 20000, offset: '40' });
+      assert.ok(sql.endsWith('ORDER BY c <=> $1::vector ASC LIMIT 10000 OFFSET 40'));
+      assert.strictEqual(limit, 10000);
+      assert.ok(buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], offset: 0 }).sql.endsWith('LIMIT 10'));
+      assert.throws(() => buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], offset: -1 }), /Invalid offset "-1"/);
+      assert.throws(() => buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], offset: 1.5 }), /Invalid offset/);
+    });
+
+    it('should continue after a cursor with an id tie-break', function () {
+      const cursor = encodeCursor({ distance: 0.25, id: 42 });
+      const { sql, params } = buildSimilarityQuery({
+        table: 't',
+        column: 'c',
+        vector: [0.1],
+        filter: { category: 'tech' },
+        select: 'title',
+        idColumn: 'doc_id',
+        cursor,
+      });
+      assert.ok(sql.includes('WHERE category = $2 AND ((c <=> $1::vector) > $3::float8 OR ((c <=> $1::vector) = $3::float8 AND doc_id > $4)) ' +
+        'ORDER BY c <=> $1::vector ASC LIMIT 10) h'));
+      assert.ok(sql.includes('CROSS JOIN LATERAL (SELECT title, doc_id FROM t WHERE doc_id = h.match_id) r'));
+      assert.ok(sql.endsWith('ORDER BY h.distance ASC, h.match_id ASC'));
+      assert.deepStrictEqual(params.slice(1), ['tech', 0.25, 42]);
+    });
+
+    it('should return vectors as text under an alias', function () {
+      const { sql } = buildSimilarityQuery({ table: 't', column: 'embedding', vector: [0.1], select: 'id', vectorAlias: 'mmr_vector' });
+      assert.ok(sql.startsWith('SELECT id, embedding::text AS mmr_vector, embedding <=> $1::vector AS distance'));
+    });
+
+    it('should order by id without a cursor when stableOrder is set', function () {
+      const { sql, params } = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], stableOrder: true });
+      assert.ok(sql.endsWith('ORDER BY h.distance ASC, h.match_id ASC'));
+      assert.strictEqual(params.length, 1);
+    });
+
+    it('should keep the plain distance order the vector index serves in the inner query', function () {
+      const { sql } = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], stableOrder: true, limit: 5 });
+      assert.strictEqual(sql,
+        'SELECT r.*, h.distance, h.score, h.distance AS similarity FROM (SELECT id AS match_id, ' +
+        'c <=> $1::vector AS distance, 1 - (c <=> $1::vector) AS score FROM t  ORDER BY c <=> $1::vector ASC LIMIT 5) h ' +
+        'CROSS JOIN LATERAL (SELECT * FROM t WHERE id = h.match_id) r ORDER BY h.distance ASC, h.match_id ASC');
+      assert.doesNotMatch(sql, /ORDER BY c <=> \$1::vector ASC, id/);
+    });
+
+    it('should round-trip cursors and reject malformed ones', function () {
+      assert.deepStrictEqual(decodeCursor(encodeCursor({ distance: -1.5, id: 'doc-7' })), { distance: -1.5, id: 'doc-7' });
+      assert.deepStrictEqual(decodeCursor({ distance: 0, id: 1 }), { distance: 0, id: 1 });
+      assert.throws(() => decodeCursor('not a cursor'), /Invalid cursor/);
+      assert.throws(() => decodeCursor(encodeCursor({ distance: 'x', id: 1 })), /Invalid cursor/);
+      assert.throws(() => decodeCursor(encodeCursor({ distance: 1 })), /Invalid cursor/);
+    });
+
+    it('should skip blank thresholds and reject non-numeric ones', function () {
+      assert.ok(!buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], minScore: '' }).sql.includes('WHERE'));
+      assert.throws(
+        () => buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], maxDistance: 'near' }),
+        /Invalid maxDistance "near"/
+      );
+    });
+
+    it('should build query with l1 metric', function () {
+      const { sql } = buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], metric: 'l1' });
+      assert.ok(sql.includes('c <+> $1::vector'));
+    });
+
+    it('should reject unknown metrics instead of falling back to cosine', function () {
+      assert.throws(
+        () => buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], metric: 'manhattan' }),
+        /Unknown metric "manhattan"/
+      );
+    });
+
+    it('should use the default metric when none is given', function () {
+      assert.ok(buildSimilarityQuery({ table: 't', column: 'c', vector: [0.1], metric: '' }).sql.includes('<=>'));
+    });
+
+    it('should reject metrics that do not apply to the type', function () {
+      assert.throws(
+        () => buildSimilarityQuery({ table: 't', column: 'c', vector: '1010', type: 'bit', metric: 'cosine' }),
+        /not supported for bit columns/
+      );
+    });
+  });
+
+  describe('buildHybridQuery', function () {
+    const base = { table: 'docs', column: 'embedding', vector: [0.1, 0.2], text: 'connection pool', textColumn: 'content' };
+
+    it('should fuse vector and text candidates by reciprocal rank', function () {
+      const { sql, params, limit } = buildHybridQuery({ ...base, limit: 5 });
+      assert.ok(sql.startsWith('WITH vector_hits AS ('));
+      assert.ok(sql.includes('ORDER BY embedding <=> $1::vector LIMIT 40'));
+      assert.ok(sql.includes("websearch_to_tsquery('english'::regconfig, $2) AS search_query"));
+      assert.ok(sql.includes("WHERE to_tsvector('english'::regconfig, content) @@ search_query"));
+      assert.ok(sql.includes('FULL OUTER JOIN text_hits x ON v.match_id = x.match_id'));
+      assert.ok(sql.includes('(COALESCE(1.0 / (60 + v.vector_rank), 0) + COALESCE(1.0 / (60 + x.text_rank), 0))::float8 AS score'));
+      assert.ok(sql.endsWith('ORDER BY f.score DESC, f.match_id LIMIT 5'));
+      assert.deepStrictEqual(params, ['[0.1,0.2]', 'connection pool']);
+      assert.strictEqual(limit, 5);
+    });
+
+    it('should weight normalized scores with the weighted fusion', function () {
+      const { sql } = buildHybridQuery({ ...base, fusion: 'weighted', vectorWeight: 0.7 });
+      assert.ok(sql.includes(
+        '(0.7 * COALESCE(v.vector_score, 0) + (1 - 0.7) * COALESCE(x.text_score / NULLIF(MAX(x.text_score) OVER (), 0), 0))::float8 AS score'
+      ));
+    });
+
+    it('should use tsvector columns and text search configs as given', function () {
+      const { sql } = buildHybridQuery({ ...base, textColumn: 'search_tsv', textColumnType: 'tsvector', textConfig: 'simple' });
+      assert.ok(sql.includes('ts_rank_cd(search_tsv, search_query)'));
+      assert.ok(sql.includes("websearch_to_tsquery('simple'::regconfig, $2)"));
+      assert.ok(!sql.includes('to_tsvector'));
+    });
+
+    it('should apply filters and thresholds to both sides', function () {
+      const { sql, params } = buildHybridQuery({ ...base, filter: { lang: 'en' }, minScore: 0.5 });
+      assert.ok(sql.includes('FROM docs WHERE lang = $2 AND (1 - (embedding <=> $1::vector)) >= $3 ORDER BY'));
+      // Text-only matches must not bypass the threshold
+      assert.ok(sql.includes(
+        "WHERE lang = $2 AND (1 - (embedding <=> $1::vector)) >= $3 AND to_tsvector('english'::regconfig, content) @@ search_query"
+      ));
+      assert.deepStrictEqual(params, ['[0.1,0.2]', 'en', 0.5, 'connection pool']);
+    });
+
+    it('should size candidates from limit and offset', function () {
+      const { sql } = buildHybridQuery({ ...base, limit: 20, offset: 20 });
+      assert.ok(sql.includes('LIMIT 160) v'));
+      assert.ok(sql.endsWith('LIMIT 20 OFFSET 20'));
+      assert.ok(buildHybridQuery({ ...base, candidates: 100 }).sql.includes('LIMIT 100) x'));
+    });
+
+    it('should look rows up by the id column', function () {
+      const { sql } = buildHybridQuery({ ...base, idColumn: 'doc_id', select: 'title' });
+      assert.ok(sql.includes('SELECT doc_id AS match_id'));
+      assert.ok(sql.includes('CROSS JOIN LATERAL (SELECT title FROM docs WHERE doc_id = f.match_id) r'));
+    });
+
+    it('should reject invalid hybrid options', function () {
+      assert.throws(() => buildHybridQuery({ ...base, text: ' ' }), /requires query text/);
+      assert.throws(() => buildHybridQuery({ ...base, textColumn: '' }), /requires a text column/);
+      assert.throws(() => buildHybridQuery({ ...base, textColumnType: 'jsonb' }), /Invalid text column type "jsonb"/);
+      assert.throws(() => buildHybridQuery({ ...base, fusion: 'max' }), /Invalid fusion "max": use rrf, weighted/);
+      assert.throws(() => buildHybridQuery({ ...base, rrfK: 0 }), /Invalid rrfK/);
+      assert.throws(() => buildHybridQuery({ ...base, vectorWeight: 1.5 }), /must be between 0 and 1/);
+    });
+  });
+
+  describe('buildBatchSimilarityQuery', function () {
+    const base = { table: 'docs', column: 'embedding', queries: [{ vector: [0.1, 0.2] }, { vector: [0.3, 0.4] }] };
+
+    it('should join unnested query vectors to a per-query top-k', function () {
+      const { sql, params, limit } = buildBatchSimilarityQuery({ ...base, limit: 3 });
+      assert.strictEqual(sql,
+        'SELECT (q.query_index - 1)::int AS query_index, r.* ' +
+        'FROM unnest($1::vector[]) WITH ORDINALITY AS q(query_vector, query_index) ' +
+        'CROSS JOIN LATERAL (SELECT *, embedding <=> q.query_vector AS distance, ' +
+        '1 - (embedding <=> q.query_vector) AS score, embedding <=> q.query_vector AS similarity ' +
+        'FROM docs ORDER BY embedding <=> q.query_vector ASC LIMIT 3) r ORDER BY q.query_index');
+      assert.deepStrictEqual(params, [['[0.1,0.2]', '[0.3,0.4]']]);
+      assert.strictEqual(limit, 3);
+    });
+
+    it('should combine shared and per-query filters', function () {
+      const queries = [{ vector: [0.1, 0.2] }, { vector: [0.3, 0.4], filter: { lang: 'de' } }];
+      const { sql, params } = buildBatchSimilarityQuery({ ...base, queries, filter: { category: 'tech' }, maxDistance: 0.5 });
+      assert.ok(sql.includes(
+        'WHERE category = $2 AND (embedding <=> q.query_vector) <= $3 AND CASE q.query_index WHEN 2 THEN (lang = $4) ELSE TRUE END'
+      ));
+      assert.deepStrictEqual(params.slice(1), ['tech', 0.5, 'de']);
+    });
+
+    it('should bind typed arrays for other vector types', function () {
+      const sparse = buildBatchSimilarityQuery({
+        table: 't', column: 'c', type: 'sparsevec', queries: [{ vector: { indices: [0], values: [0.5], dim: 3 } }],
+      });
+      assert.ok(sparse.sql.includes('unnest($1::sparsevec[])'));
+      assert.deepStrictEqual(sparse.params[0], ['{1:0.5}/3']);
+      const bit = buildBatchSimilarityQuery({ table: 't', column: 'c', type: 'bit', queries: [{ vector: '1010' }] });
+      assert.ok(bit.sql.includes('unnest($1::varbit[])'));
+      assert.ok(bit.sql.includes('c <~> q.query_vector'));
+    });
+
+    it('should require at least one query', function () {
+      assert.throws(() => buildBatchSimilarityQuery({ ...base, queries: [] }), /requires at least one query vector/);
+    });
+  });
+
+  describe('groupBatchResults', function () {
+    it('should group rows per query in input order', function () {
+      const rows = [
+        { query_index: 0, id: 7, distance: 0.1 },
+        { query_index: 2, id: 3, distance: 0.2 },
+        { query_index: 2, id: 9, distance: 0.4 },
+      ];
+      assert.deepStrictEqual(groupBatchResults(rows, [{ id: 'a' }, {}, { id: 'c' }]), [
+        { index: 0, id: 'a', results: [{ id: 7, distance: 0.1 }] },
+        { index: 1, id: null, results: [] },
+        { index: 2, id: 'c', results: [{ id: 3, distance: 0.2 }, { id: 9, distance: 0.4 }] },
+      ]);
+    });
+
+    it('should sort the rows of each query by distance', function () {
+      const rows = [
+        { query_index: 0, id: 9, distance: 0.4 },
+        { query_index: 0, id: 3, distance: 0.2 },
+        { query_index: 0, id: 5, distance: 0.2 },
+      ];
+      assert.deepStrictEqual(groupBatchResults(rows, [{}])[0].results.map((row) => row.id), [3, 5, 9]);
+    });
+  });
+
+  describe('buildReferenceQuery', function () {
+    const base = { table: 'docs', column: 'embedding', ids: [42] };
+
+    it('should read the reference vector server-side and exclude the reference rows', function () {
+      const { sql, params, limit } = buildReferenceQuery({ ...base, limit: 5 });
+      assert.strictEqual(sql,
+        'WITH reference AS (SELECT embedding AS query_vector FROM docs WHERE id = ANY($1) AND embedding IS NOT NULL), ' +
+        'hits AS (SELECT DISTINCT ON (h.match_id) h.match_id, h.distance, h.score FROM reference q ' +
+        'CROSS JOIN LATERAL (SELECT id AS match_id, embedding <=> q.query_vector AS distance, 1 - (embedding <=> q.query_vector) AS score ' +
+        'FROM docs WHERE id <> ALL($1) ORDER BY embedding <=> q.query_vector ASC LIMIT 5) h ORDER BY h.match_id, h.distance) ' +
+        'SELECT r.*, h.distance, h.score, h.distance AS similarity FROM hits h ' +
+        'CROSS JOIN LATERAL (SELECT * FROM docs WHERE id = h.match_id) r ORDER BY h.distance ASC, h.match_id ASC LIMIT 5');
+      assert.deepStrictEqual(params, [[42]]);
+      assert.strictEqual(limit, 5);
+    });
+
+    it('should average reference vectors when asked', function () {
+      const { sql } = buildReferenceQuery({ ...base, ids: [42, 57], average: true });
+      assert.ok(sql.startsWith(
+        'WITH reference AS (SELECT avg(embedding) AS query_vector FROM docs WHERE id = ANY($1) HAVING count(embedding) > 0)'
+      ));
+      assert.throws(() => buildReferenceQuery({ ...base, type: 'sparsevec', average: true }), /not supported for sparsevec columns/);
+    });
+
+    it('should apply filters, thresholds and offsets', function () {
+      const { sql, params } = buildReferenceQuery({ ...base, filter: { lang: 'en' }, minScore: 0.8, limit: 10, offset: 20 });
+      assert.ok(sql.includes('WHERE id <> ALL($1) AND lang = $2 AND (1 - (embedding <=> q.query_vector)) >= $3 ORDER BY embedding <=> q.query_vector ASC LIMIT 30'));
+      assert.ok(sql.endsWith('LIMIT 10 OFFSET 20'));
+      assert.deepStrictEqual(params, [[42], 'en', 0.8]);
+    });
+
+    it('should merge hits by the id column and select it', function () {
+      const { sql } = buildReferenceQuery({ ...base, select: 'title', idColumn: 'doc_id' });
+      assert.ok(sql.includes('(SELECT doc_id AS match_id, embedding <=> q.query_vector AS distance'));
+      assert.ok(sql.includes('(SELECT title, doc_id FROM docs WHERE doc_id = h.match_id) r'));
+    });
+
+    it('should score bit columns by the reference length', function () {
+      const { sql } = buildReferenceQuery({ ...base, type: 'bit' });
+      assert.ok(sql.includes('1 - (embedding <~> q.query_vector) / length(q.query_vector) AS score'));
+      assert.strictEqual(scoreExpression('hamming', 'd', 8), '1 - (d) / 8');
+    });
+
+    it('should require ids', function () {
+      assert.throws(() => buildReferenceQuery({ ...base, ids: [] }), /requires one or more row ids/);
+      assert.throws(() => buildReferenceQuery({ ...base, ids: [null] }), /requires one or more row ids/);
+    });
+  });
+
+  describe('resolveReferenceIds', function () {
+    it('should search by id when there is no query vector', function () {
+      assert.deepStrictEqual(resolveReferenceIds({ payload: { id: 42 } }), [42]);
+      assert.deepStrictEqual(resolveReferenceIds({ payload: { ids: [42, 57] } }), [42, 57]);
+    });
+
+    it('should search by the embedding of a payload that also has an id', function () {
+      assert.strictEqual(resolveReferenceIds({ payload: { id: 42, embedding: [0.1, 0.2] } }), null);
+      assert.strictEqual(resolveReferenceIds({ payload: { id: 42, data: [{ embedding: [0.1, 0.2] }] } }), null);
+      assert.strictEqual(resolveReferenceIds({ payload: { id: 42, vector: [0.1, 0.2] } }), null);
+      assert.strictEqual(resolveReferenceIds({ payload: { id: 42 }, vector: [0.1, 0.2] }), null);
+      assert.strictEqual(resolveReferenceIds({ payload: [0.1, 0.2] }), null);
+    });
+
+    it('should search by id when asked explicitly', function () {
+      assert.deepStrictEqual(resolveReferenceIds({ mode: 'reference', payload: { id: 42, embedding: [0.1, 0.2] } }), [42]);
+      assert.deepStrictEqual(resolveReferenceIds({ mode: 'reference', payload: {} }), []);
+    });
   });
 });